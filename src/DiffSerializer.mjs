@@ -0,0 +1,310 @@
+/** Converts the output of `MutationDiff.diff` to and from a plain JSON format. Nodes are encoded as
+ * references relative to a root node:
+ * - `null`, for null siblings
+ * - `[i, j, ...]`, a path of child indices from the root
+ * - `{key}`, the value of a unique identifying attribute for an element inside the root
+ * - `{node, path}`, an index into a list of node snapshots, for nodes that are not inside the root;
+ *   `path` (omitted if empty) gives the path of child indices within the snapshot
+ *
+ * Paths can be relative to either the original or mutated DOM. Snapshots are taken of the current
+ * DOM, excluding any descendants that have their own position in the diff.
+ * @private
+ */
+export default class DiffSerializer{
+	/**
+	 * @param {Map<Node, MutationDiff~Diff>} diff output of `MutationDiff.diff`
+	 * @param {Node} root node that paths are relative to
+	 * @param {boolean} original whether paths are for the original DOM, rather than the mutated one
+	 * @param {string} [key] attribute to use as a unique identifier for elements
+	 */
+	constructor(diff, root, original, key){
+		this.diff = diff;
+		this.root = root;
+		this.mode = original ? "original" : "mutated";
+		this.key = key;
+		// serialized node snapshots, and Node => index into snapshots
+		this.nodes = [];
+		this.bases = new Map();
+		// Node => serialized reference
+		this.refs = new Map();
+		// parent => original childNodes; and original parent => [{node, prev, next}] for moved nodes
+		this.children = new Map();
+		this.moved = null;
+	}
+	/** Serialize the diff
+	 * @returns {Object} plain JSON object
+	 */
+	serialize(){
+		const diff = [];
+		for (const [node, d] of this.diff){
+			const e = {};
+			if (d.data)
+				e.data = d.data;
+			if (d.attribute)
+				e.attribute = d.attribute;
+			if (d.custom)
+				e.custom = Array.from(d.custom);
+			if (d.children){
+				const c = e.children = {};
+				for (const mode of ["original","mutated"]){
+					const pos = d.children[mode];
+					if (!pos)
+						continue;
+					const pc = c[mode] = {};
+					for (const k of ["parent","prev","next"]){
+						if (k in pos)
+							pc[k] = this.ref(pos[k]);
+					}
+				}
+			}
+			if (d.kind)
+				e.kind = d.kind;
+			diff.push([this.ref(node), e]);
+		}
+		const out = {nodes: this.nodes, diff};
+		if (this.key)
+			out.key = this.key;
+		return out;
+	}
+	/** Get the serialized reference for a node
+	 * @param {?Node} node
+	 */
+	ref(node){
+		if (node === null)
+			return null;
+		let ref = this.refs.get(node);
+		if (ref)
+			return ref;
+		const path = this.#locate(node);
+		if (path){
+			// key is only stable if the attribute wasn't modified
+			if (this.key && node !== this.root && node.nodeType === Node.ELEMENT_NODE &&
+				node.hasAttribute(this.key) && !this.diff.get(node)?.attribute?.[this.key]
+			)
+				ref = {key: node.getAttribute(this.key)};
+			else ref = path;
+		}
+		else{
+			// ascend to the nearest node that is positioned by the diff, or has no parent
+			const path = [];
+			let base = node;
+			while (!this.diff.get(base)?.children){
+				const parent = base.parentNode;
+				if (!parent)
+					break;
+				path.push(this.#snapshot_index(base));
+				base = parent;
+			}
+			let i = this.bases.get(base);
+			if (i === undefined){
+				i = this.nodes.push(this.#snapshot(base)) - 1;
+				this.bases.set(base, i);
+			}
+			ref = {node: i};
+			if (path.length)
+				ref.path = path.reverse();
+		}
+		this.refs.set(node, ref);
+		return ref;
+	}
+	/** Get the path from root to node, for either the original or mutated DOM
+	 * @returns {?number[]} null if the node is not inside root
+	 */
+	#locate(node){
+		const path = [];
+		while (node !== this.root){
+			let parent;
+			const c = this.diff.get(node)?.children;
+			if (c){
+				parent = c[this.mode]?.parent;
+				if (!parent)
+					return null;
+			}
+			// unmoved node has the same parent in both DOMs
+			else if (!(parent = node.parentNode))
+				return null;
+			if (this.mode === "mutated"){
+				let i = 0;
+				for (let s = node; s = s.previousSibling;)
+					i++;
+				path.push(i);
+			}
+			else path.push(this.#original_children(parent).indexOf(node));
+			node = parent;
+		}
+		return path.reverse();
+	}
+	/** Reconstruct the original child nodes of a parent. Unmoved children keep their relative
+	 * order, and moved nodes are linked in using their original siblings
+	 * @param {Node} parent
+	 * @returns {Node[]}
+	 */
+	#original_children(parent){
+		let list = this.children.get(parent);
+		if (list)
+			return list;
+		if (!this.moved){
+			this.moved = new Map();
+			for (const [node, d] of this.diff){
+				const o = d.children?.original;
+				if (!o)
+					continue;
+				let arr = this.moved.get(o.parent);
+				if (!arr)
+					this.moved.set(o.parent, arr = []);
+				arr.push({node, prev: o.prev, next: o.next});
+			}
+		}
+		list = [];
+		for (const c of parent.childNodes){
+			if (!this.diff.get(c)?.children)
+				list.push(c);
+		}
+		let pending = this.moved.get(parent) || [];
+		while (pending.length){
+			const remaining = [];
+			for (const m of pending){
+				let i = -1;
+				if (m.prev === null)
+					i = 0;
+				else if (m.next === null)
+					i = list.length;
+				else if (m.prev !== undefined && (i = list.indexOf(m.prev)) !== -1)
+					i++;
+				else if (m.next !== undefined)
+					i = list.indexOf(m.next);
+				if (i === -1)
+					remaining.push(m);
+				else list.splice(i, 0, m.node);
+			}
+			if (remaining.length === pending.length)
+				throw Error("MutationDiff: original siblings unknown; synchronize before serializing");
+			pending = remaining;
+		}
+		this.children.set(parent, list);
+		return list;
+	}
+	/** Index of a node within its parent's snapshot */
+	#snapshot_index(node){
+		let i = 0;
+		for (let s = node; s = s.previousSibling;){
+			if (!this.diff.get(s)?.children)
+				i++;
+		}
+		return i;
+	}
+	/** Snapshot the current state of a node; children with their own position in the diff are
+	 * excluded
+	 */
+	#snapshot(node){
+		switch (node.nodeType){
+			case Node.TEXT_NODE:
+				return {text: node.data};
+			case Node.COMMENT_NODE:
+				return {comment: node.data};
+			case Node.ELEMENT_NODE: {
+				const attrs = [];
+				for (const a of node.attributes){
+					const attr = [a.name, a.value];
+					if (a.namespaceURI !== null)
+						attr.push(a.namespaceURI);
+					attrs.push(attr);
+				}
+				const children = [];
+				for (const c of node.childNodes){
+					if (!this.diff.get(c)?.children)
+						children.push(this.#snapshot(c));
+				}
+				const tag = node.prefix ? node.prefix+":"+node.localName : node.localName;
+				return {tag, ns: node.namespaceURI, attrs, children};
+			}
+		}
+		throw Error("MutationDiff: can't serialize node outside of root");
+	}
+
+	/** Convert serialized JSON back to the format of `MutationDiff.diff`
+	 * @param {Object | string} json output from `serialize`, or its stringified version
+	 * @param {Node} root node that paths are relative to; the DOM should be in the same state
+	 *  (original or mutated) as when it was serialized
+	 * @returns {Map<Node, MutationDiff~Diff>}
+	 */
+	static deserialize(json, root){
+		if (typeof json === "string")
+			json = JSON.parse(json);
+		const doc = root.ownerDocument || root;
+		const create = (s) => {
+			if ("text" in s)
+				return doc.createTextNode(s.text);
+			if ("comment" in s)
+				return doc.createComment(s.comment);
+			const el = doc.createElementNS(s.ns, s.tag);
+			for (const [name, value, ns=null] of s.attrs)
+				el.setAttributeNS(ns, name, value);
+			for (const c of s.children)
+				el.appendChild(create(c));
+			return el;
+		};
+		const nodes = json.nodes.map(create);
+		let keys;
+		const resolve = (ref) => {
+			if (ref === null)
+				return null;
+			let node, path;
+			if (Array.isArray(ref)){
+				node = root;
+				path = ref;
+			}
+			else if ("key" in ref){
+				if (!keys){
+					// null marks a value shared by several elements
+					keys = new Map();
+					for (const el of root.getElementsByTagName("*")){
+						const v = el.getAttribute(json.key);
+						if (v !== null)
+							keys.set(v, keys.has(v) ? null : el);
+					}
+				}
+				node = keys.get(ref.key);
+				if (node === null)
+					throw Error("MutationDiff: duplicate key value inside root; can't resolve serialized node");
+			}
+			else{
+				node = nodes[ref.node];
+				path = ref.path;
+			}
+			if (path){
+				for (const i of path)
+					node = node?.childNodes[i];
+			}
+			if (!node)
+				throw Error("MutationDiff: can't resolve serialized node");
+			return node;
+		};
+		const out = new Map();
+		for (const [ref, e] of json.diff){
+			const log = {};
+			if (e.data)
+				log.data = {...e.data};
+			if (e.attribute){
+				log.attribute = {};
+				for (const k in e.attribute)
+					log.attribute[k] = {...e.attribute[k]};
+			}
+			if (e.custom)
+				log.custom = new Map(e.custom.map(([k, v]) => [k, {...v}]));
+			if (e.children){
+				const c = log.children = {};
+				for (const mode in e.children){
+					const pos = e.children[mode];
+					const pc = c[mode] = {};
+					for (const k in pos)
+						pc[k] = resolve(pos[k]);
+				}
+			}
+			if (e.kind)
+				log.kind = e.kind;
+			out.set(resolve(ref), log);
+		}
+		return out;
+	}
+}
@@ -10,12 +10,25 @@
  * are sure all MutationRecords have been accounted for already, and the PropertyMutations has an
  * accurate view of the current DOM (e.g. when MutationObserver.takeRecords() is called).
  */
+// Prefixes for namespaces that don't need to be declared
+const PREFIXES = {
+	"http://www.w3.org/XML/1998/namespace": "xml",
+	"http://www.w3.org/2000/xmlns/": "xmlns",
+	"http://www.w3.org/1999/xlink": "xlink"
+};
+
 export default class PropertyMutations{
+	/** Passed as the old value to `recorder.custom()` when reverting a custom property whose current
+	 * value can't be read, since no `custom_get` was given
+	 */
+	static UNKNOWN = Symbol("unknown");
 	constructor(){
 		/* Each in the form: key => {value, dirty}, where dirty indicates if the value
 			is different than current and needs to be reverted. Native is for attributes
 			and data, with a null key indicating data. Custom is for custom user defined
-			properties.
+			properties. Namespaced attributes are keyed by "namespace:localName", and
+			additionally store {namespace, name, prefix}, with the attribute's local name
+			and last seen prefix.
 		*/
 		this.native = new Map();
 		this.custom = new Map();
@@ -34,21 +47,26 @@ export default class PropertyMutations{
 	 * @param key the attribute name, null for data, or the custom property key
 	 * @param value current value, which may be several mutations ahead of old_value
 	 * @param old_value previous point-in-time value
+	 * @param ns optional {namespace, name, prefix} for a namespaced attribute, in which case `key`
+	 * 	should be "namespace:localName"
+	 * @param equals optional fn(a, b) callback to compare values, instead of strict equality
 	 */
-	mark(mode, key, value, old_value){
+	mark(mode, key, value, old_value, ns, equals){
 		const m = this[mode];
 		const props = m.get(key);
 		// unseen property
 		if (!props){
-			const dirty = value !== old_value;
-			m.set(key, {value: old_value, dirty});
+			const dirty = equals ? !equals(value, old_value) : value !== old_value;
+			m.set(key, ns ? {value: old_value, dirty, ...ns} : {value: old_value, dirty});
 			if (dirty)
 				this._dirty++;
 			else this._clean++;
 		}
 		// previously cached; just update dirty flag
 		else{
-			const dirty = value !== props.value;
+			if (ns?.prefix)
+				props.prefix = ns.prefix;
+			const dirty = equals ? !equals(value, props.value) : value !== props.value;
 			if (dirty != props.dirty){
 				props.dirty = dirty;
 				const change = dirty ? 1 : -1;
@@ -60,22 +78,86 @@ export default class PropertyMutations{
 	/** Reset all dirty properties for a node
 	 * @param node the node to revert properties for
 	 * @param custom_set fn(node, key, value) callback, which can revert custom user properties
+	 * @param recorder optional MutationDiff to report the property changes to
+	 * @param custom_get fn(node, key) callback, which fetches the current value of custom user
+	 * 	properties; used to report the old value to `recorder`. If not provided, the old value is
+	 * 	reported as `PropertyMutations.UNKNOWN`
+	 * @param filter optional fn(mode, key) callback, returning whether a property should be reverted;
+	 * 	`mode` is "native" or "custom", as for `mark()`
+	 * @param properties optional Map of custom properties registered with `MutationDiff.define_property`;
+	 * 	their own get/set callbacks are used instead of `custom_get` and `custom_set`
 	 */
-	revert(node, custom_set){
+	revert(node, custom_set, recorder, custom_get, filter, properties){
 		for (const [attr,o] of this.native){
-			if (!o.dirty)
+			if (!o.dirty || filter && !filter("native", attr))
 				continue;
-			if (attr === null)
+			if (attr === null){
+				const old = node.data;
 				node.data = o.value;
-			else if (o.value === null)
-				node.removeAttribute(attr);
-			else node.setAttribute(attr, o.value);
+				recorder?.data(node, old);
+			}
+			else{
+				const ns = o.namespace ?? null;
+				const name = ns ? o.name : attr;
+				const old = PropertyMutations.get_attribute(node, name, ns);
+				PropertyMutations.set_attribute(node, name, ns, o.value, o.prefix);
+				recorder?.attribute(node, name, old, ns);
+			}
+		}
+		for (const [key,o] of this.custom){
+			if (!o.dirty || filter && !filter("custom", key))
+				continue;
+			const prop = properties?.get(key);
+			let old;
+			if (prop?.set){
+				if (recorder)
+					old = prop.get(node);
+				prop.set(node, o.value);
+			}
+			else if (custom_set){
+				if (recorder)
+					old = prop ? prop.get(node) : custom_get ? custom_get(node, key) : PropertyMutations.UNKNOWN;
+				custom_set(node, key, o.value);
+			}
+			else continue;
+			recorder?.custom(node, key, o.value, old);
 		}
-		if (custom_set){
-			for (const [key,o] of props.custom){
-				if (o.dirty)
-					custom_set(node, key, o.value);
+	}
+	/** Get an attribute's value
+	 * @param {Element} node
+	 * @param {string} name attribute name, or the local name if `namespace` is given
+	 * @param {?string} namespace attribute namespace, or null for none
+	 * @returns {?string} null if the attribute is missing
+	 */
+	static get_attribute(node, name, namespace){
+		return namespace ? node.getAttributeNS(namespace, name) : node.getAttribute(name);
+	}
+	/** Set or remove an attribute. For namespaced attributes, the prefix is kept from the existing
+	 * attribute; otherwise it is `prefix`, or is looked up from the node's namespace declarations
+	 * @param {Element} node
+	 * @param {string} name attribute name, or the local name if `namespace` is given
+	 * @param {?string} namespace attribute namespace, or null for none
+	 * @param {?string} value new value, or null to remove the attribute
+	 * @param {?string} [prefix] prefix to use when adding a namespaced attribute
+	 */
+	static set_attribute(node, name, namespace, value, prefix){
+		if (!namespace){
+			if (value === null)
+				node.removeAttribute(name);
+			else node.setAttribute(name, value);
+		}
+		else if (value === null)
+			node.removeAttributeNS(namespace, name);
+		else{
+			let qualified = node.getAttributeNodeNS(namespace, name)?.name;
+			if (!qualified){
+				/* An unprefixed name would be matched by the non-namespaced attribute methods, so we
+					use a generic prefix if none is known; xmlns attribute itself has no prefix
+				*/
+				prefix ||= node.lookupPrefix(namespace) || PREFIXES[namespace] || "ns";
+				qualified = prefix === "xmlns" && name === "xmlns" ? name : prefix+":"+name;
 			}
+			node.setAttributeNS(namespace, qualified, value);
 		}
 	}
 	/** Removes clean properties from the cache, returning a count of dirty properties left */
@@ -28,6 +28,75 @@ export default class TreeMutations{
 		this.mutated.clear();
 	}
 
+	/** Remove mutations for a subset of nodes, accepting the current DOM as the new original for
+	 * them. Remaining nodes whose original siblings were committed are linked to the committed
+	 * node's original siblings instead.
+	 * @param {Set<MutatedNode>} original mutations whose original position should be forgotten; if
+	 *  not also in `mutated`, the node will be treated as a newly inserted node
+	 * @param {Set<MutatedNode>} mutated mutations whose mutated position becomes the new original
+	 *  position; these nodes become fixed
+	 */
+	commit(original, mutated){
+		// nodes whose original sibling changed, and could now be reverted; {MutatedNode => 0b00 reversion flag}
+		const candidates = new Map();
+		/** Link the original siblings on either side of mn together */
+		const splice = (mn) => {
+			const o = mn.original;
+			this.original.remove(mn);
+			for (const side of ["prev","next"]){
+				// the node whose original sibling was mn
+				const smn = this.original[side].get(mn.node);
+				const sibling = o[side];
+				if (smn){
+					// promise is now searching for smn's sibling instead
+					if (sibling instanceof SiblingPromise)
+						sibling.mn = smn;
+					this.original.update(smn, sibling, side);
+					candidates.set(smn, 0);
+				}
+				else if (sibling instanceof SiblingPromise)
+					sibling.discard();
+			}
+		};
+		/** Remove mn from the original graph, cleaning up any promises */
+		const forget = (mn) => {
+			this.original.remove(mn);
+			for (const side of ["prev","next"]){
+				const sibling = mn.original[side];
+				if (sibling instanceof SiblingPromise)
+					sibling.discard();
+			}
+			mn.original = null;
+		};
+		for (const mn of mutated){
+			if (mn.original){
+				// original siblings are outside the committed region, and still need to be tracked
+				if (!original.has(mn))
+					splice(mn);
+				else forget(mn);
+			}
+			this.mutated.remove(mn);
+			this.floating.delete(mn.node);
+			candidates.delete(mn);
+		}
+		for (const mn of original){
+			if (mutated.has(mn))
+				continue;
+			forget(mn);
+			// node was removed, and that removal has been committed
+			if (!mn.mutated)
+				this.floating.delete(mn.node);
+			candidates.delete(mn);
+		}
+		// same as in `synchronize()`
+		for (const [mn, flags] of candidates){
+			candidates.delete(mn);
+			if (!mn.original || mn.original.parent !== mn.mutated?.parent)
+				continue;
+			this.#revert_check([mn], mn.original.parent, candidates, flags & 1 ? mn : undefined, flags & 2 ? mn : undefined);
+		}
+	}
+
 	/** Storage size for mutations */
 	get size(){ return this.floating.size; }
 	/** Check if node position has been modified */
@@ -0,0 +1,60 @@
+const HTML_NS = "http://www.w3.org/1999/xhtml";
+/* Input types whose value is the `value` attribute, or otherwise can't be edited by the user;
+	those are tracked by attribute changes or `checked` instead
+*/
+const VALUELESS = new Set(["hidden","submit","image","reset","button","checkbox","radio","file"]);
+// events that signal a form control's state changed
+const EVENTS = ["input","change"];
+
+/** Check if a node is an HTML element of a given local name */
+function is(node, name){
+	return node.localName === name && node.namespaceURI === HTML_NS;
+}
+
+/** Built-in custom properties for form control state, for use with {@link MutationDiff#define_property}.
+ * These are keyed by the DOM property name they track, with a `"form:"` prefix so they don't collide
+ * with user defined properties:
+ * - `form:value`: the value of a text-like `<input>` or `<textarea>`
+ * - `form:checked`: whether a checkbox or radio button is checked
+ * - `form:selected`: an ordered list of indices of the selected options for a `<select>`
+ * @private
+ */
+export default {
+	"form:value": {
+		get(node){
+			if (is(node, "textarea") || is(node, "input") && !VALUELESS.has(node.type))
+				return node.value;
+		},
+		set(node, value){ node.value = value; },
+		on: EVENTS
+	},
+	"form:checked": {
+		get(node){
+			if (is(node, "input") && (node.type === "checkbox" || node.type === "radio"))
+				return node.checked;
+		},
+		set(node, value){ node.checked = value; },
+		on: EVENTS
+	},
+	"form:selected": {
+		get(node){
+			if (!is(node, "select"))
+				return;
+			const out = [];
+			for (let i=0; i<node.options.length; i++){
+				if (node.options[i].selected)
+					out.push(i);
+			}
+			return out;
+		},
+		set(node, value){
+			const options = node.options;
+			for (let i=0; i<options.length; i++)
+				options[i].selected = value.includes(i);
+		},
+		equals(a, b){
+			return a.length === b.length && a.every((v, i) => v === b[i]);
+		},
+		on: EVENTS
+	}
+};
@@ -2,6 +2,10 @@ import { BoundaryRange, BoundaryFlags as BF } from "node-boundary";
 import PropertyMutations from "./PropertyMutations.mjs";
 import TreeMutations from "./TreeMutations.mjs";
 import SiblingPromise from "./SiblingPromise.mjs";
+import DiffSerializer from "./DiffSerializer.mjs";
+import text_splices from "./text_splices.mjs";
+import form_properties from "./form_properties.mjs";
+import preserve_selection from "./preserve_selection.mjs";
 
 // better to make these globals for minification
 const
@@ -12,7 +16,24 @@ const
 	DATA		= 0b1,
 	ATTRIBUTE	= 0b10,
 	CUSTOM		= 0b100,
-	CHILDREN	= 0b1000;
+	CHILDREN	= 0b1000,
+	TEXT_SPLICES	= 0x10000,
+	INSERTED	= 0x20000,
+	REMOVED		= 0x40000,
+	MOVED		= 0x80000,
+	KINDS		= INSERTED | REMOVED | MOVED,
+	COLLAPSED	= 0x100000,
+	FORM		= 0x200000,
+	SELECTION	= 0x400000,
+	SHADOW		= 0x800000,
+	DETACHED_CROSS_BATCH	= 0x1000000;
+// `kind` values for each kind flag
+const KIND_NAMES = {
+	0: "property-only",
+	[INSERTED]: "inserted",
+	[REMOVED]: "removed",
+	[MOVED]: "moved"
+};
 
 /** Bit flags for specifying what diff information you'd like to fetch. For use with
  * {@link MutationDiff#diff}, {@link MutationDiff#diff_grouped_children}, and
@@ -44,7 +65,60 @@ const Flags = {
 	/** Include custom property changes, see {@link MutationDiff#custom} */
 	CUSTOM,
 	/** Include node additions, removals, or position changes, see {@link MutationDiff#children} */
-	CHILDREN
+	CHILDREN,
+	/** Include character level splices for data changes (see {@link MutationDiff~TextSplice}), or
+	 * narrow the {@link MutationDiff#range|range} of data changes to the changed characters. This is
+	 * opt-in, and is not included in `ALL`.
+	 */
+	TEXT_SPLICES,
+	/** Only include nodes that are newly inserted, i.e. have no original position. Like the other
+	 * kind flags, this narrows the output rather than adding to it, so is not included in `ALL`; e.g.
+	 * `ALL | INSERTED`. Multiple kind flags can be combined.
+	 */
+	INSERTED,
+	/** Only include nodes that were removed, i.e. have no mutated position; see `INSERTED` */
+	REMOVED,
+	/** Only include nodes that were moved, i.e. have both an original and mutated position; see `INSERTED` */
+	MOVED,
+	/** Collapse inserted and removed subtrees in {@link MutationDiff#diff|diff}, so that only the topmost
+	 * inserted or removed node is reported. Changes to nodes inside the subtree are omitted, unless the node
+	 * was moved there from elsewhere, or moved out of it. This is opt-in, and is not included in `ALL`.
+	 */
+	COLLAPSED,
+	/** For {@link MutationDiffObserver}, track the state of form controls, which `MutationObserver`
+	 * does not report. This defines built-in custom properties on the tracker (see
+	 * {@link MutationDiff#define_property}), which are checked on `input` and `change` events:
+	 * - `"form:value"`: the value of a text-like `<input>` or `<textarea>`
+	 * - `"form:checked"`: whether a checkbox or radio button is checked
+	 * - `"form:selected"`: an ordered list of indices of the selected options for a `<select>`
+	 *
+	 * The `"form:"` prefix keeps them from replacing properties you define yourself. Their changes are
+	 * given as {@link MutationDiffFlags.CUSTOM|CUSTOM} properties in the diff, and are reverted
+	 * automatically. This is opt-in, and is not included in `ALL`.
+	 */
+	FORM,
+	/** For {@link MutationDiff#revert_node|revert_node}, preserve the document's selection and focused
+	 * element, which would otherwise be lost when nodes are moved; see
+	 * {@link MutationDiff.patch_grouped_children|patch_grouped_children}. {@link MutationDiff#revert|revert}
+	 * takes a `selection` option instead. This is opt-in, and is not included in `ALL`.
+	 */
+	SELECTION,
+	/** For {@link MutationDiffObserver}, also observe open shadow roots under the observed roots. This
+	 * includes shadow roots of elements that are inserted later, and of custom elements upgraded later.
+	 * Any other shadow root attached to an element that is already observed is not found, as attaching
+	 * one generates no `MutationRecord` or event; flush and call
+	 * {@link MutationDiffObserver#reattach|reattach} afterwards. This is opt-in, and is not included in
+	 * `ALL`.
+	 */
+	SHADOW,
+	/** For {@link MutationDiffObserver}, when a node is removed from the observed roots and ends up in a
+	 * different, disconnected tree, also observe that tree once the removal's `MutationRecord` is
+	 * reported. This only covers moves across batches of records: changes made to the tree in a later
+	 * batch are tracked, but those made in the same batch as the removal are still missed, leaving
+	 * unknown siblings; see {@link MutationDiff#synchronize|synchronize}. This is opt-in, and is not
+	 * included in `ALL`.
+	 */
+	DETACHED_CROSS_BATCH
 };
 
 /** For use with {@link MutationDiff#diff}
@@ -61,13 +135,41 @@ const Flags = {
  * @param {*} value the value to set
  */
 
+/** A custom property registered with {@link MutationDiff#define_property}
+ * @typedef {Object} MutationDiff~PropertyDefinition
+ * @prop {function(Node): *} get Fetch the property's current value for a node. Return `undefined`
+ *  if the property does not apply to the node
+ * @prop {function(Node, *)} [set] Set the property's value for a node, used when reverting. If not
+ *  provided, the `custom_set` callback is used instead, if any
+ * @prop {function(*, *): boolean} [equals] Compare two values of the property. If not provided,
+ *  values are compared with strict equality
+ * @prop {string[]} [on] Events which signal the property may have changed; {@link MutationDiffObserver}
+ *  listens for these under its roots
+ */
+
+/** For use with {@link MutationDiff.patch_grouped_children}; receives the same arguments as
+ * {@link MutationDiff#children}
+ * @callback MutationDiff~childrenCbk
+ * @param {Node} parent point-in-time `parentNode` where removal/insertion occurred
+ * @param {Node[]} removed an ordered list of nodes that were removed
+ * @param {Node[]} added an ordered list of nodes that were added
+ * @param {?Node} prev point-in-time `previousSibling` of the removed/added nodes
+ * @param {?Node} next point-in-time `nextSibling` of the removed/added nodes
+ */
+
+/** For use with {@link MutationDiff#on_change}
+ * @callback MutationDiff~changeCbk
+ * @param {boolean} mutated whether the DOM is now mutated, as given by {@link MutationDiff#mutated|mutated}
+ * @param {?Node} root the `root` the callback was registered with
+ */
+
 /** The output format returned by {@link MutationDiff#diff}
  * @typedef {Object} MutationDiff~Diff
  * @prop {MutationDiff~DiffProperty} [data] The diff for a `CharacterData`'s text content. Only
  *  present if the {@link MutationDiffFlags.DATA|DATA} flag was included. Will be missing if there
  *  were no data changes.
  * @prop {Object<string, MutationDiff~DiffProperty>} [attribute] A mapping of attribute names to
- *  their diff. Only present if the {@link MutationDiffFlags.ATTRIBUTE|ATTRIBUTE} flag was included.
+ *  their diff. Namespaced attributes are keyed by `"namespace:localName"`. Only present if the {@link MutationDiffFlags.ATTRIBUTE|ATTRIBUTE} flag was included.
  *  Will be missing if there were no attribute changes
  * @prop {Map<*,MutationDiff~DiffProperty>} [custom] A mapping of custom properties to their diff.
  *  Only present if the {@link MutationDiffFlags.CUSTOM|CUSTOM} flag was included. Will be missing
@@ -75,6 +177,10 @@ const Flags = {
  * @prop {MutationDiff~DiffChildren} [children] The diff for a node addition, removal, or movement.
  *  Only present if the {@link MutationDiffFlags.CHILDREN|CHILDREN} flag was included. Will be
  *  missing if the node's position is the same
+ * @prop {"inserted" | "removed" | "moved" | "property-only"} kind The kind of change to the node's
+ *  position: `"inserted"` if it has no original position, `"removed"` if it has no mutated position,
+ *  `"moved"` if it has both, or `"property-only"` if its position is unchanged. This is given regardless
+ *  of which flags were included.
  */
 
 /** Gives the diff for a data, attribute, or custom property change; for use inside
@@ -86,6 +192,34 @@ const Flags = {
  *  {@link MutationDiffFlags.MUTATED|MUTATED} flag was included. Note that mutated values are not
  *  stored internally by {@link MutationDiff}, so the current value will be queried from the DOM (or
  *  using {@link MutationDiff~customGetCbk} for custom properties).
+ * @prop {MutationDiff~TextSplice[]} [splices] Character level changes for data. Only present if
+ *  the {@link MutationDiffFlags.TEXT_SPLICES|TEXT_SPLICES} flag was included.
+ * @prop {string} [namespace] The attribute's namespace URI. Only present for namespaced attributes
+ * @prop {string} [localName] The attribute's local name, without prefix. Only present for
+ *  namespaced attributes
+ * @prop {string} [prefix] The attribute's last seen prefix. Only present for namespaced attributes,
+ *  when the prefix is known
+ */
+
+/** A character level change to the text of a `CharacterData` node; for use inside
+ * {@link MutationDiff~DiffProperty}. Splices are ordered and do not overlap. Applying each splice in
+ * order to the original text gives the mutated text, so `offset` is also the offset into the mutated
+ * text. For very large changes, the changed text may be given as a single splice.
+ * @typedef {Object} MutationDiff~TextSplice
+ * @prop {number} offset character offset where the splice begins
+ * @prop {string} removed text that was removed
+ * @prop {string} added text that was inserted in its place
+ */
+
+/** Returned from {@link MutationDiff#range|range} when the {@link MutationDiffFlags.TEXT_SPLICES|TEXT_SPLICES}
+ * flag is included. A boundary that is inside a text node is narrowed to the changed characters, giving
+ * a character offset into the node's current data.
+ * @typedef {Object} MutationDiff~TextRange
+ * @prop {BoundaryRange} range the bounds of the mutations, as without the flag
+ * @prop {?number} start_offset if `range` starts inside a text node (`range.start.node`), the
+ *  offset of its first changed character; otherwise null
+ * @prop {?number} end_offset if `range` ends inside a text node (`range.end.node`), the offset
+ *  after its last changed character; otherwise null
  */
 
 /** Gives the diff for a node addition, removal, or movement; for use inside {@link MutationDiff~Diff}
@@ -115,16 +249,80 @@ const Flags = {
  *  {@link MutationDiff#diff_grouped_children|diff_grouped_children}
  */
 
+/** Passed to the callback of {@link MutationDiffObserver#auto_flush|auto_flush}
+ * @typedef {Object} MutationDiffObserver~Changes
+ * @prop {Map<Node, MutationDiff~Diff>} diff the current diff, as given by {@link MutationDiff#diff|diff}
+ * @prop {?(BoundaryRange | MutationDiff~TextRange)} range the current range, as given by
+ *  {@link MutationDiff#range|range}; a {@link MutationDiff~TextRange} if the filter included
+ *  {@link MutationDiffFlags.TEXT_SPLICES|TEXT_SPLICES}
+ * @prop {boolean} mutated whether the DOM is mutated, as given by {@link MutationDiff#mutated|mutated}
+ */
+
+/** For use with {@link MutationDiffObserver#auto_flush|auto_flush}
+ * @callback MutationDiffObserver~flushCbk
+ * @param {MutationDiffObserver~Changes} changes the tracker's state after flushing
+ */
+
 /** Helper object to setup a `MutationObserver` to report mutations to {@link MutationDiff}. This is
  * useful for simple cases where you don't need to reuse the `MutationObserver` for other purposes,
  * or you don't need to do advanced filtering of the mutation records.
+ *
+ * Properties registered with {@link MutationDiff#define_property} are checked for any node that
+ * a `MutationRecord` is reported for, and when one of the property's `on` events is dispatched under
+ * the roots. Define the properties before creating the observer, or call
+ * {@link MutationDiffObserver#reattach|reattach} afterwards.
+ *
+ * With the {@link MutationDiffFlags.SHADOW|SHADOW} flag, open shadow roots are observed too. They are
+ * found when observing begins, and inside nodes that are inserted afterwards. Custom elements that are
+ * not yet defined are checked again on the next flush after they are upgraded. Otherwise, a shadow
+ * root attached to an element that is already in the tree is not found; you must call
+ * {@link MutationDiffObserver#reattach|reattach} after attaching it.
+ *
+ * With the {@link MutationDiffFlags.DETACHED_CROSS_BATCH|DETACHED_CROSS_BATCH} flag, when a node is
+ * removed from the roots, the disconnected tree it is in (given by `getRootNode()`) is observed as well.
+ * Since `MutationRecord`s are batched, this is the tree the node is in when the record is reported, and
+ * only changes to it in later batches are tracked. Changes made in the same batch, such as inserting
+ * the node into an unobserved tree and then modifying that tree, are missed. A `MutationObserver` can't
+ * stop observing a single node, so detached trees are observed until the tracker is no longer
+ * {@link MutationDiff#mutated|mutated} (e.g. after it is cleared or reverted). Changes to them after
+ * that point are ignored, and the observer reconnects to only the roots on the next flush.
  */
 class MutationDiffObserver{
+	/** Event types being listened for, from registered properties */
+	#events = [];
+	/** Whether to track form control state, defining the properties in `form_properties` */
+	#form = false;
+	/** Whether to observe shadow roots */
+	#shadow = false;
+	/** Shadow roots being observed */
+	#shadows = new Set();
+	/** Custom elements without a shadow root that are not yet defined, and may attach one when upgraded */
+	#upgrades = new Set();
+	/** Whether to observe disconnected trees that nodes are removed to */
+	#detach = false;
+	/** Disconnected trees being observed */
+	#detached = new Set();
+	/** Set when the tracker has become unmutated, so detached trees can be dropped */
+	#stale = false;
+	/** Unregisters our {@link MutationDiff#on_change|on_change} listener */
+	#unlisten = null;
+	/** Number of nested {@link MutationDiffObserver#pause|pause} calls */
+	#paused = 0;
+	/** Options for {@link MutationDiffObserver#auto_flush|auto_flush}, or null if not enabled */
+	#auto = null;
+	/** Cancels the pending scheduled flush, if any */
+	#cancel = null;
+	/** Set when a flush was requested while paused, so one is scheduled upon resuming */
+	#missed = false;
 	/** Construct a new observer and begin observing
 	 * @param {MutationDiff} tracker the MutationDiff object to attach to
 	 * @param {Node | Node[]} roots a single or list of root nodes to observe
 	 * @param {number} [filter={@link MutationDiffFlags.ALL|ALL}] A bitmask specifying which
-	 *  mutations to observe, such as character data, attribute, or child list changes.
+	 *  mutations to observe, such as character data, attribute, or child list changes. Include
+	 *  {@link MutationDiffFlags.FORM|FORM} to track form control state,
+	 *  {@link MutationDiffFlags.SHADOW|SHADOW} to observe open shadow roots, or
+	 *  {@link MutationDiffFlags.DETACHED_CROSS_BATCH|DETACHED_CROSS_BATCH} to observe trees that nodes are
+	 *  removed to in earlier batches of records as well.
 	 * @param {string[]} [attributeFilter] An array of specific attribute names to watch. Ignored
 	 * 	if the {@link MutationDiffFlags.ATTRIBUTE|ATTRIBUTE} flag is not included in `filter`
 	 */
@@ -142,7 +340,10 @@ class MutationDiffObserver{
 		/** The internal `MutationObserver` object that is observing {@link MutationDiffObserver#root|root}
 		 * @type {MutationObserver}
 		 */
-		this.observer = new MutationObserver(this.#record.bind(this));
+		this.observer = new MutationObserver((records) => {
+			this.#record(records);
+			this.#request();
+		});
 		// build observer options
 		const opts = { subtree: true };
 		if (filter & DATA)
@@ -154,6 +355,9 @@ class MutationDiffObserver{
 		}
 		if (filter & CHILDREN)
 			opts.childList = true;
+		this.#form = !!(filter & FORM);
+		this.#shadow = !!(filter & SHADOW);
+		this.#detach = !!(filter & DETACHED_CROSS_BATCH);
 		/** The observer options passed to [MutationObserver.observe()](https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver/observe)
 		 * @type {Object}
 		 */
@@ -172,27 +376,334 @@ class MutationDiffObserver{
 		if (synchronize)
 			this.tracker.synchronize();
 	}
+	/** Flush automatically whenever mutations are observed, and report the changes to a callback. The
+	 * flush is scheduled when `MutationObserver` delivers records, when a registered property's event
+	 * is dispatched, or when the tracker's {@link MutationDiff#on_change|mutated} state changes. Mutations
+	 * made while {@link MutationDiffObserver#pause|paused}, such as by {@link MutationDiff#revert|revert},
+	 * schedule one upon resuming, so the callback sees the reverted state. Calling
+	 * {@link MutationDiffObserver#flush|flush} yourself only schedules one if it changes the mutated state.
+	 * Only one callback can be set; calling this again replaces it.
+	 * @param {?MutationDiffObserver~flushCbk} callback called after each scheduled flush, or null to
+	 *  stop flushing automatically
+	 * @param {Object} [options]
+	 * @param {"microtask" | "frame" | "idle" | "debounce"} [options.timing="microtask"] when to flush:
+	 *  in a microtask, before the next animation frame, when the browser is idle, or once no mutations
+	 *  have been observed for `delay` milliseconds
+	 * @param {number} [options.delay=100] milliseconds to wait for `"debounce"`, or the most to wait
+	 *  for `"idle"`
+	 * @param {number} [options.filter={@link MutationDiffFlags.ALL|ALL}] flags for
+	 *  {@link MutationDiff#diff|diff}; {@link MutationDiffFlags.TEXT_SPLICES|TEXT_SPLICES} is also
+	 *  passed to {@link MutationDiff#range|range}
+	 * @param {MutationDiff~customGetCbk} [options.custom_get] passed to {@link MutationDiff#diff|diff}
+	 * @param {Node} [options.root] passed to {@link MutationDiff#range|range} and
+	 *  {@link MutationDiff#mutated|mutated}; defaults to the observed root, if there is only one
+	 * @throws If `timing` is not one of the allowed values
+	 */
+	auto_flush(callback, {timing="microtask", delay=100, filter=ALL, custom_get, root}={}){
+		if (!["microtask","frame","idle","debounce"].includes(timing))
+			throw Error("MutationDiff: unknown flush timing "+timing);
+		this.#unschedule();
+		if (root === undefined && this.root.length === 1)
+			root = this.root[0];
+		this.#auto = callback ? {callback, timing, delay, filter, custom_get, root} : null;
+	}
+	/** Schedule a flush for {@link MutationDiffObserver#auto_flush|auto_flush} */
+	#request(){
+		const auto = this.#auto;
+		if (!auto)
+			return;
+		if (this.#paused){
+			this.#missed = true;
+			return;
+		}
+		// already scheduled; debounce restarts the wait
+		if (this.#cancel){
+			if (auto.timing !== "debounce")
+				return;
+			this.#unschedule();
+		}
+		const run = () => {
+			this.flush();
+			// the flush may request another for the changes it records, which this callback includes
+			this.#unschedule();
+			const tracker = this.tracker;
+			auto.callback({
+				diff: tracker.diff(auto.filter, auto.custom_get),
+				range: tracker.range(auto.root, auto.filter & TEXT_SPLICES),
+				mutated: tracker.mutated(auto.root)
+			});
+		};
+		let id;
+		switch (auto.timing){
+			case "microtask": {
+				let live = true;
+				queueMicrotask(() => live && run());
+				this.#cancel = () => live = false;
+				break;
+			}
+			case "frame":
+				id = requestAnimationFrame(run);
+				this.#cancel = () => cancelAnimationFrame(id);
+				break;
+			case "idle":
+				// not supported everywhere
+				if (typeof requestIdleCallback === "function"){
+					id = requestIdleCallback(run, {timeout: auto.delay});
+					this.#cancel = () => cancelIdleCallback(id);
+					break;
+				}
+			// fallthrough
+			case "debounce":
+				id = setTimeout(run, auto.timing === "idle" ? 0 : auto.delay);
+				this.#cancel = () => clearTimeout(id);
+				break;
+		}
+	}
+	/** Cancel the pending scheduled flush */
+	#unschedule(){
+		if (this.#cancel){
+			this.#cancel();
+			this.#cancel = null;
+		}
+	}
+	/** Stop recording mutations, e.g. while making changes to the DOM that are reported to the
+	 * {@link MutationDiff} some other way. Pending records are recorded first; mutations made while
+	 * paused are discarded by {@link MutationDiffObserver#resume|resume}. Calls can be nested, with
+	 * recording resumed after the outermost call's `resume`.
+	 */
+	pause(){
+		if (!this.#paused)
+			this.#record(this.observer.takeRecords());
+		this.#paused++;
+	}
+	/** Resume recording mutations after {@link MutationDiffObserver#pause|pause}, discarding any
+	 * records for mutations made while paused. If there were any, a flush is scheduled for
+	 * {@link MutationDiffObserver#auto_flush|auto_flush}.
+	 */
+	resume(){
+		if (!this.#paused)
+			return;
+		if (!--this.#paused){
+			if (this.observer.takeRecords().length)
+				this.#missed = true;
+			if (this.#missed){
+				this.#missed = false;
+				this.#request();
+			}
+		}
+	}
+	/** Call a function without recording the mutations it makes; see {@link MutationDiffObserver#pause|pause}.
+	 * {@link MutationDiff#revert|revert} and the other revert methods do this automatically.
+	 * @param {function} fn a synchronous function to call
+	 * @returns {*} the return value of `fn`
+	 */
+	without_recording(fn){
+		this.pause();
+		try{
+			return fn();
+		} finally{
+			this.resume();
+		}
+	}
 	/** `MutationObserver` will observe descendants of {@link MutationDiffObserver#root|root}, and
 	 * continues observing those descendants even when they are moved to a different part of the DOM
 	 * tree ([see explanation on MDN](https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver/observe#observation_follows_nodes_when_disconnected)).
 	 * This method will reattach the `MutationObserver` so that it is only observing the current
-	 * descendants of {@link MutationDiffObserver#root|root}.
+	 * descendants of {@link MutationDiffObserver#root|root}. With {@link MutationDiffFlags.SHADOW|SHADOW},
+	 * this also finds shadow roots attached since the observer started. Pending records are discarded, so
+	 * {@link MutationDiffObserver#flush|flush} beforehand.
 	 */
 	reattach(){
-		this.stop();
-		for (const root of this.root)
-			this.observer.observe(root, this.options);
+		this.#unobserve();
+		this.tracker.observers.add(this);
+		if (this.#form){
+			for (const key in form_properties)
+				this.tracker.define_property(key, form_properties[key]);
+		}
+		const events = new Set();
+		for (const prop of this.tracker.properties.values()){
+			for (const type of prop.on || [])
+				events.add(type);
+		}
+		this.#events = Array.from(events);
+		for (const root of this.root){
+			this.#observe(root);
+			if (this.#shadow)
+				this.#observe_shadows(root);
+		}
+		this.#unlisten = this.tracker.on_change((mutated) => {
+			if (!mutated && this.#detached.size)
+				this.#stale = true;
+			this.#request();
+		});
 	}
 	/** Stop the observer. You can call {@link MutationDiffObserver#reattach|reattach}
 	 * to start observing again. Make sure to call `stop` when you are done, otherwise the object
-	 * will not get garbage collected!
+	 * will not get garbage collected! Any {@link MutationDiffObserver#pause|pause} calls are undone,
+	 * a pending {@link MutationDiffObserver#auto_flush|auto_flush} is cancelled, and with
+	 * {@link MutationDiffFlags.FORM|FORM}, its properties are removed from the tracker unless another
+	 * observer is still using them.
 	 */
-	stop(){ this.observer.disconnect(); }
+	stop(){
+		this.#unobserve();
+		this.#paused = 0;
+		const tracker = this.tracker;
+		if (this.#form && !Array.from(tracker.observers).some(o => o.#form)){
+			for (const key in form_properties){
+				// unless since replaced by the user
+				if (tracker.properties.get(key)?.get === form_properties[key].get)
+					tracker.properties.delete(key);
+			}
+		}
+	}
+	/** Disconnect the observer and stop listening for events and changes */
+	#unobserve(){
+		this.observer.disconnect();
+		this.#unschedule();
+		this.tracker.observers.delete(this);
+		for (const root of [...this.root, ...this.#shadows, ...this.#detached]){
+			for (const type of this.#events)
+				root.removeEventListener(type, this.#event, true);
+		}
+		this.#events = [];
+		this.#shadows.clear();
+		this.#upgrades.clear();
+		this.#detached.clear();
+		this.#stale = false;
+		this.#missed = false;
+		if (this.#unlisten){
+			this.#unlisten();
+			this.#unlisten = null;
+		}
+	}
+	/** Observe a root or shadow root, and listen for events of registered properties */
+	#observe(target){
+		this.observer.observe(target, this.options);
+		// last known values for registered properties
+		this.tracker.check_properties(target, true);
+		for (const type of this.#events)
+			target.addEventListener(type, this.#event, true);
+	}
+	/** Observe any open shadow roots inside node, including node's own and nested ones */
+	#observe_shadows(node){
+		const hosts = node.querySelectorAll ? Array.from(node.querySelectorAll("*")) : [];
+		if (node.nodeType === Node.ELEMENT_NODE)
+			hosts.push(node);
+		for (const host of hosts){
+			const shadow = host.shadowRoot;
+			if (!shadow){
+				this.#await_upgrade(host);
+				continue;
+			}
+			if (this.#shadows.has(shadow))
+				continue;
+			this.#shadows.add(shadow);
+			this.#observe(shadow);
+			this.#observe_shadows(shadow);
+		}
+	}
+	/** Remember an undefined custom element, so a shadow root it attaches once upgraded is observed */
+	#await_upgrade(host){
+		const name = host.localName;
+		if (!name.includes("-") || typeof customElements === "undefined" || customElements.get(name) ||
+			this.#upgrades.has(host)
+		)
+			return;
+		this.#upgrades.add(host);
+		// upgrading doesn't necessarily generate a MutationRecord
+		customElements.whenDefined(name).then(() => {
+			if (this.#upgrades.has(host))
+				this.#request();
+		});
+	}
+	/** Observe shadow roots of custom elements that have been upgraded since they were found */
+	#check_upgrades(){
+		for (const host of this.#upgrades){
+			const tree = host.getRootNode();
+			const observed = this.#shadows.has(tree) || this.root.some(r => r.contains(host));
+			if (observed && host.shadowRoot)
+				this.#observe_shadows(host);
+			// found again if it is inserted back
+			if (!observed || host.shadowRoot || customElements.get(host.localName))
+				this.#upgrades.delete(host);
+		}
+	}
+	/** Observe the disconnected tree a removed node is now in, if it isn't observed already */
+	#observe_detached(node){
+		const root = node.getRootNode();
+		if (root.nodeType === Node.DOCUMENT_NODE || this.#detached.has(root) || this.#shadows.has(root) ||
+			this.root.some(r => r.contains(node))
+		)
+			return;
+		this.#detached.add(root);
+		this.#observe(root);
+	}
+	/** Stop observing detached trees; `MutationObserver` can only stop observing all nodes at once
+	 * @returns {Set<Node>} the trees that are no longer observed
+	 */
+	#forget_detached(){
+		this.observer.disconnect();
+		const forgotten = this.#detached;
+		for (const root of forgotten){
+			for (const type of this.#events)
+				root.removeEventListener(type, this.#event, true);
+		}
+		this.#detached = new Set();
+		for (const root of [...this.root, ...this.#shadows])
+			this.observer.observe(root, this.options);
+		return forgotten;
+	}
 	/** Report MutationRecord's to the MutationDiff */
 	#record(records){
-		for (const r of records)
-			this.tracker.record(r);
+		if (this.#paused)
+			return;
+		let forgotten = null;
+		if (this.#stale){
+			this.#stale = false;
+			// disconnecting discards pending records
+			records = Array.from(records).concat(this.observer.takeRecords());
+			forgotten = this.#forget_detached();
+		}
+		const tracker = this.tracker;
+		for (const r of records){
+			/* changes to detached trees after the tracker became unmutated are treated as unobserved; unless
+				an earlier record removed a node to the tree again, which observes it once more
+			*/
+			if (forgotten){
+				const tree = r.target.getRootNode();
+				if (forgotten.has(tree) && !this.#detached.has(tree) && !this.root.some(root => root.contains(r.target)))
+					continue;
+			}
+			tracker.record(r);
+			tracker.check_properties(r.target);
+			if (this.#shadow){
+				for (const node of r.addedNodes)
+					this.#observe_shadows(node);
+			}
+			if (this.#detach){
+				for (const node of r.removedNodes)
+					this.#observe_detached(node);
+			}
+		}
+		if (this.#upgrades.size)
+			this.#check_upgrades();
 	}
+	/** Check registered properties of an event's target */
+	#event = (e) => {
+		if (this.#paused)
+			return;
+		this.#request();
+		const target = e.target;
+		this.tracker.check_properties(target);
+		// other radio buttons in the group are unchecked without an event
+		if (target.type === "radio" && target.name && this.tracker.properties.has("form:checked")){
+			const scope = target.form || target.getRootNode();
+			for (const radio of scope.querySelectorAll("input[type=radio]")){
+				if (radio !== target && radio.name === target.name)
+					this.tracker.check_properties(radio);
+			}
+		}
+	};
 }
 
 /** Tracks mutations performed on the DOM, giving you the delta between original and mutated DOM,
@@ -206,6 +717,18 @@ class MutationDiffObserver{
  * when mutations cancel out.
  */
 class MutationDiff{
+	/** Number of dirty properties across all nodes in `props` */
+	#dirty = 0;
+	/** Callbacks registered with `on_change`, [{callback, root, mutated}] */
+	#listeners = [];
+	/** While nonzero, change notifications are deferred */
+	#quiet = 0;
+	/** Last known values of registered properties, Node => Map(key => value) */
+	#known = new WeakMap();
+	/** Weak references to the nodes in `#known`, so {@link MutationDiff#clear|clear} can update them */
+	#known_nodes = new Set();
+	/** Drops references in `#known_nodes` once their node is garbage collected */
+	#known_gc = new FinalizationRegistry(ref => this.#known_nodes.delete(ref));
 	/** Construct a new `MutationDiff` object */
 	constructor(){
 		/** Private structure for holding raw attribute, character, or custom property changes. For
@@ -220,6 +743,21 @@ class MutationDiff{
 		 * @type {TreeMutations}
 		 */
 		this.tree = new TreeMutations();
+		/** Active checkpoints, ordered from oldest to newest. Mutations reported to this object
+		 * are also reported to each checkpoint. See {@link MutationDiff#checkpoint|checkpoint}
+		 * @type {MutationDiff[]}
+		 */
+		this.checkpoints = [];
+		/** Custom properties registered with {@link MutationDiff#define_property|define_property}.
+		 * Checkpoints share this with the object that created them.
+		 * @type {Map<*, MutationDiff~PropertyDefinition>}
+		 */
+		this.properties = new Map();
+		/** Observers reporting to this object. These are paused while reverting, so that the reversion
+		 * is not recorded a second time. See {@link MutationDiffObserver#without_recording|without_recording}
+		 * @type {Set<MutationDiffObserver>}
+		 */
+		this.observers = new Set();
 	}
 
 	/** Add the changes indicated by a `MutationRecord`. Note for `attributes` and `characterData`
@@ -229,10 +767,7 @@ class MutationDiff{
 	record(r){
 		switch (r.type){
 			case "attributes":
-				let name = r.attributeName;
-				if (r.attributeNamespace)
-					name = r.attributeNamespace+':'+name;
-				this.attribute(r.target, name, r.oldValue);
+				this.attribute(r.target, r.attributeName, r.oldValue, r.attributeNamespace);
 				break;
 			case "characterData":
 				this.data(r.target, r.oldValue);
@@ -252,29 +787,56 @@ class MutationDiff{
 	 */
 	children(parent, removed, added, prev, next){
 		this.tree.mutation(parent, removed, added, prev, next);
+		for (const c of this.checkpoints)
+			c.children(parent, removed, added, prev, next);
+		this.#notify();
 	}
 
 	/** Shared method for tracking attribute and data changes
 	 * @private
 	 */
-	#prop(node, mode, key, value, old_value){
+	#prop(node, mode, key, value, old_value, ns){
 		let props = this.props.get(node);
 		if (!props){
 			props = new PropertyMutations();
 			this.props.set(node, props);
 		}
-		props.mark(mode, key, value, old_value)
+		const dirty = props.dirty;
+		const equals = mode === "custom" ? this.properties.get(key)?.equals : undefined;
+		props.mark(mode, key, value, old_value, ns, equals)
+		this.#dirty += props.dirty - dirty;
+		for (const c of this.checkpoints){
+			// an unknown old value can't serve as the checkpoint's original value
+			if (old_value === PropertyMutations.UNKNOWN && !c.props.get(node)?.[mode].has(key))
+				continue;
+			c.#prop(node, mode, key, value, old_value, ns);
+		}
+		this.#notify();
+	}
+	/** Stop tracking property changes for a node */
+	#forget_props(node){
+		const props = this.props.get(node);
+		if (props){
+			this.#dirty -= props.dirty;
+			this.props.delete(node);
+		}
 	}
-	/** Indicate HTML attribute changed. Note this uses the current `node.getAttribute()`
-	 * 	value for detecting when the attribute is modified.
+	/** Indicate HTML attribute changed. Note this uses the current `node.getAttribute()` (or
+	 * 	`node.getAttributeNS()`) value for detecting when the attribute is modified.
 	 * @param {Node} node node whose attribute changed
-	 * @param {string} key namespace qualified attribute name, e.g. "namespace:name"; the namespace
-	 * 	can be ommitted if not needed
+	 * @param {string} key attribute name; or its local name, if `namespace` is given
 	 * @param {string} old_value previous value of this attribute; when attribute is first seen,
 	 *  this is stored as the *original value*, and used to detect when the attribute reverts
+	 * @param {?string} [namespace=null] attribute namespace URI, as given by
+	 *  `MutationRecord.attributeNamespace`. The attribute is keyed as `"namespace:localName"` in
+	 *  the diff
 	 */
-	attribute(node, key, old_value){
-		return this.#prop(node, "native", key, node.getAttribute(key), old_value);
+	attribute(node, key, old_value, namespace=null){
+		if (!namespace)
+			return this.#prop(node, "native", key, node.getAttribute(key), old_value);
+		const attr = node.getAttributeNodeNS(namespace, key);
+		const ns = {namespace, name: key, prefix: attr ? attr.prefix : null};
+		return this.#prop(node, "native", namespace+":"+key, attr ? attr.value : null, old_value, ns);
 	}
 	/** Indicate data change for a `CharacterData` node (e.g. text content has changed). Note this
 	 *  uses the current `node.data` value for detecting when the text is modified.
@@ -289,7 +851,8 @@ class MutationDiff{
 	/** Indicate some custom property for the node has changed. A custom property is any user
 	 *  defined value derived from, or associated with a node. Custom properties are not
 	 *  automatically reverted; you must provide a callback to revert them yourself, see
-	 *  {@link MutationDiff#revert|revert}
+	 *  {@link MutationDiff#revert|revert}, or register the property with
+	 *  {@link MutationDiff#define_property|define_property}
 	 * @param {Node} node node whose property changed
 	 * @param {*} key any `Map` compatible key
 	 * @param {*} value current value for this property; this can be the value several mutations
@@ -298,37 +861,177 @@ class MutationDiff{
 	 * 	stored as the *original value*, and used to detect when the property reverts
 	 */
 	custom(node, key, value, old_value){
+		if (this.properties.has(key))
+			this.#remember(node, key, value);
 		return this.#prop(node, "custom", key, value, old_value);
 	}
+	/** Register a custom property, so that its values are read and written automatically. The
+	 * property's `get` callback is used for the mutated value in {@link MutationDiff#diff|diff}, and
+	 * its `set` callback when reverting, in place of `custom_get` and `custom_set`. Changes are detected
+	 * with {@link MutationDiff#check_properties|check_properties}, which
+	 * {@link MutationDiff#synchronize|synchronize} calls for any node that had a mutation, and
+	 * {@link MutationDiffObserver} calls for nodes it observes. You can still report changes yourself
+	 * with {@link MutationDiff#custom|custom}.
+	 * @param {*} key any `Map` compatible key, as given to {@link MutationDiff#custom|custom}
+	 * @param {MutationDiff~PropertyDefinition} definition callbacks to read and write the property;
+	 *  this replaces any previous definition for `key`
+	 */
+	define_property(key, {get, set, equals, on}){
+		if (typeof get !== "function")
+			throw Error("MutationDiff: property definition requires a get callback");
+		this.properties.set(key, {get, set, equals, on});
+	}
+	/** Check registered properties for changes. Each property's current value is compared to the last
+	 * value that was seen, and any changes are reported to {@link MutationDiff#custom|custom}. The first
+	 * time a property is seen for a node, its current value is taken to be the original.
+	 * @param {Node} node the node to check
+	 * @param {boolean} [deep=false] whether to check descendants of `node` as well
+	 */
+	check_properties(node, deep=false){
+		if (!this.properties.size)
+			return;
+		for (const [key, prop] of this.properties){
+			const value = prop.get(node);
+			if (value === undefined)
+				continue;
+			const known = this.#known.get(node);
+			if (!known?.has(key)){
+				this.#remember(node, key, value);
+				continue;
+			}
+			const old = known.get(key);
+			if (prop.equals ? !prop.equals(value, old) : value !== old)
+				this.custom(node, key, value, old);
+		}
+		if (deep){
+			for (const c of node.childNodes)
+				this.check_properties(c, true);
+		}
+	}
+	/** Set the last known value of a registered property */
+	#remember(node, key, value){
+		let known = this.#known.get(node);
+		if (!known){
+			this.#known.set(node, known = new Map());
+			const ref = new WeakRef(node);
+			this.#known_nodes.add(ref);
+			this.#known_gc.register(node, ref);
+		}
+		known.set(key, value);
+	}
+	/** Set the last known values of a node's registered properties to their current values */
+	#remember_current(node){
+		for (const [key, prop] of this.properties){
+			const value = prop.get(node);
+			if (value !== undefined)
+				this.#remember(node, key, value);
+		}
+	}
 
 	/** Check if the DOM is mutated. If the DOM was changed, but the changes put the DOM back in its
 	 * original state, the DOM is *not* mutated.
 	 * @param {Node} [root] If provided, only mutations that are inside `root` are considered;
 	 *  this is useful when using `MutationObserver`, which in certain situations can track
-	 *  mutations outside of its root node
+	 *  mutations outside of its root node. Mutations inside a shadow tree are considered inside
+	 *  `root` if its host is.
 	 * @returns {boolean} true if DOM is different from how it started
 	 */
 	mutated(root){
 		if (root){
 			for (const [node,props] of this.props){
 				// if node was moved out of root, then we'll catch that later in the tree mutations
-				if (props.dirty && root.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_CONTAINED_BY)
+				if (props.dirty && node !== root && MutationDiff.#contains(root, node))
 					return true;
 			}
 			for (const op of this.tree.mutations()){
 				// we can just check parent here; parent == root is okay;
 				// if root has been affected, at least one parent out of all mutations will still be contained in root
-				if (op.original && root.contains(op.original.parent) || op.node.parentNode && root.contains(op.node.parentNode))
+				if (op.original && MutationDiff.#contains(root, op.original.parent) ||
+					op.node.parentNode && MutationDiff.#contains(root, op.node.parentNode)
+				)
 					return true;
 			}
 			return false;
 		}
-		if (this.tree.size)
-			return true;
-		for (let props of this.props.values())
-			if (props.dirty)
-				return true;
-		return false;
+		return !!(this.tree.size || this.#dirty);
+	}
+	/** Shadow-including `root.contains(node)` */
+	static #contains(root, node){
+		return root.contains(MutationDiff.#retarget(root, node));
+	}
+	/** Retarget a node inside shadow trees to the shadow host that is in the same tree as `root`, or
+	 * to the outermost shadow host if there is no root; the node is returned as-is otherwise
+	 */
+	static #retarget(root, node){
+		while (!root?.contains(node)){
+			const host = node.getRootNode().host;
+			if (!host)
+				break;
+			node = host;
+		}
+		return node;
+	}
+
+	/** Register a callback for when the DOM switches between being mutated and unmutated (see
+	 * {@link MutationDiff#mutated|mutated}), e.g. to enable a save button as soon as there are changes.
+	 * The callback is only called when the state changes, and is not called upon registration. It is
+	 * called synchronously as mutations are reported, and after operations like
+	 * {@link MutationDiff#revert|revert}, {@link MutationDiff#clear|clear}, or
+	 * {@link MutationDiff#synchronize|synchronize} have finished.
+	 * @param {MutationDiff~changeCbk} callback called with the new mutated state
+	 * @param {Node} [root] If provided, only mutations inside `root` are considered, as with
+	 *  {@link MutationDiff#mutated|mutated}. Checking this requires looking at all the tracked
+	 *  mutations, so can be costly when there are many changes. Without a root, checking is constant time.
+	 * @returns {function} call this to unregister the callback
+	 */
+	on_change(callback, root=null){
+		const listener = {callback, root, mutated: this.mutated(root || undefined)};
+		this.#listeners.push(listener);
+		return () => {
+			const idx = this.#listeners.indexOf(listener);
+			if (idx !== -1)
+				this.#listeners.splice(idx, 1);
+		};
+	}
+	/** Call `on_change` listeners whose mutated state has changed */
+	#notify(){
+		if (this.#quiet || !this.#listeners.length)
+			return;
+		const mutated = this.mutated();
+		for (const l of this.#listeners.slice()){
+			// can't be mutated inside root if unmutated globally
+			const m = mutated && (!l.root || this.mutated(l.root));
+			if (m !== l.mutated){
+				l.mutated = m;
+				l.callback(m, l.root);
+			}
+		}
+	}
+	/** Defer change notifications until `fn` finishes, so that listeners don't see intermediate states */
+	#batch(fn){
+		this.#quiet++;
+		try{
+			return fn();
+		} finally{
+			this.#quiet--;
+			this.#notify();
+		}
+	}
+	/** Perform our own DOM modifications in `fn`, pausing the observers so they don't record them.
+	 * Change notifications are deferred until the observers have resumed.
+	 */
+	#unobserved(fn){
+		return this.#batch(() => {
+			const observers = Array.from(this.observers);
+			for (const o of observers)
+				o.pause();
+			try{
+				return fn();
+			} finally{
+				for (const o of observers)
+					o.resume();
+			}
+		});
 	}
 
 	/** Get a `BoundaryRange` indicating bounds of the mutated parts of the DOM. You must call this
@@ -340,7 +1043,15 @@ class MutationDiff{
 	 * @param {Node} [root] If provided, only mutations that are inside `root` are considered;
 	 *  this is useful when using `MutationObserver`, which in certain situations can track
 	 *  mutations outside of its root node
-	 * @returns {?BoundaryRange} Returns null if the DOM is not mutated (see
+	 *
+	 *  The range can't cross into shadow trees, so mutations inside a shadow tree are bounded by its
+	 *  host; the host in the same tree as `root`, or the outermost host if there is no `root`. If the
+	 *  host is `root` itself, the range includes all of root's contents.
+	 * @param {number} [filter=0] If {@link MutationDiffFlags.TEXT_SPLICES|TEXT_SPLICES} is included,
+	 *  nodes that have only had their data changed are narrowed to the changed characters. The range
+	 *  is then returned inside a {@link MutationDiff~TextRange}, which gives the character offsets
+	 *  for boundaries inside such a node.
+	 * @returns {?(BoundaryRange | MutationDiff~TextRange)} Returns null if the DOM is not mutated (see
 	 *  {@link MutationDiff#mutated|mutated}). The range can be collapsed, which indicates nodes have
 	 *  been removed at that position. The range is exclusive normalized so that the range bounds
 	 *  are not affected by any mutations inside the range (see `BoundaryRange.normalize` documentation).
@@ -352,16 +1063,41 @@ class MutationDiff{
 	 *  current DOM). In the case of an error, specify `root` parameter, which could simply be the
 	 *  `document` of interest.
 	 */
-	range(root){
+	range(root, filter=0){
 		let fr = new BoundaryRange(), // full range of all mutations
 			sr = new BoundaryRange(); // range for single mutation
-		/** Include node that is inside root */
-		const include = (node) => {
-			return !root || root.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_CONTAINED_BY;
+		/** Node that bounds a mutation of `node`, retargeted out of shadow trees; null if it is not
+			inside root. Root's own mutations are not inside, but those of its shadow tree are
+		*/
+		const target = (node) => {
+			const t = MutationDiff.#retarget(root, node);
+			if (!root)
+				return t;
+			if (t === root)
+				return t === node ? null : t;
+			return root.contains(t) ? t : null;
+		};
+		const select = (t) => {
+			if (t === root)
+				sr.selectNodeContents(t);
+			else sr.selectNode(t, true);
 		};
+		// node => [start, end] offsets of changed characters
+		const text = new Map();
 		for (const [node,props] of this.props){
-			if (props.dirty && include(node)){
-				sr.selectNode(node, true);
+			let t;
+			if (props.dirty && (t = target(node))){
+				const op = props.native.get(null);
+				let splices;
+				// only data changed, and node hasn't moved
+				if (t === node && filter & TEXT_SPLICES && op?.dirty && props.dirty === 1 && !this.tree.has(node) &&
+					(splices = text_splices(op.value, node.data)).length
+				){
+					const last = splices[splices.length-1];
+					text.set(node, [splices[0].offset, last.offset + last.added.length]);
+					sr.selectNodeContents(node);
+				}
+				else select(t);
 				fr.extend(sr);
 			}
 		}
@@ -370,8 +1106,9 @@ class MutationDiff{
 		};
 		for (let op of this.tree.mutations()){
 			// current position
-			if (op.node.parentNode && !this.props.get(op.node)?.dirty && include(op.node)){
-				sr.selectNode(op.node, true);
+			let t;
+			if (op.node.parentNode && !this.props.get(op.node)?.dirty && (t = target(op.node))){
+				select(t);
 				fr.extend(sr);
 			}
 			/* Original position: Only care about fixed nodes when marking the original bounds.
@@ -384,6 +1121,15 @@ class MutationDiff{
 			op = op.original;
 			const p = op.parent;
 			if (p){
+				// inside a shadow tree, so the host bounds it instead
+				const host = MutationDiff.#retarget(root, p);
+				if (host !== p){
+					if (!root || root.contains(host)){
+						select(host);
+						fr.extend(sr);
+					}
+					continue;
+				}
 				const prev_fixed = fixed_sibling(op.prev);
 				const next_fixed = fixed_sibling(op.next);
 				if (!prev_fixed && !next_fixed)
@@ -406,7 +1152,13 @@ class MutationDiff{
 		if (fr.isNull())
 			return null;
 		fr.normalize();
-		return fr;
+		if (!(filter & TEXT_SPLICES))
+			return fr;
+		return {
+			range: fr,
+			start_offset: fr.start.side === BF.AFTER_OPEN && text.has(fr.start.node) ? text.get(fr.start.node)[0] : null,
+			end_offset: fr.end.side === BF.BEFORE_CLOSE && text.has(fr.end.node) ? text.get(fr.end.node)[1] : null
+		};
 	}
 
 	/** Get the current diff. Mutated properties are not cached, so requesting {@link MutationDiffFlags.MUTATED|MUTATED}
@@ -417,7 +1169,9 @@ class MutationDiff{
 	 *  return, as given by {@link MutationDiffFlags}
 	 * @param {MutationDiff~customGetCbk} [custom_get] A callback to fetch the mutated value for custom properties. Only
 	 *  used when `filter` contains {@link MutationDiffFlags.MUTATED|MUTATED} and
-	 *  {@link MutationDiffFlags.CUSTOM|CUSTOM} flags. If not provided, their mutated value will not be set.
+	 *  {@link MutationDiffFlags.CUSTOM|CUSTOM} flags. Properties registered with
+	 *  {@link MutationDiff#define_property|define_property} use their own `get` callback instead. If not
+	 *  provided, their mutated value will not be set.
 	 * @returns {Map<Node, MutationDiff~Diff>} A Map giving the changes for each node. The output
 	 *  may be freely modified, as it is a copied view. For performance, you may consider accessing
 	 *  the raw internal mutation data instead, but backward compatibility is not guaranteed.
@@ -431,98 +1185,243 @@ class MutationDiff{
 			as any
 		*/
 		const out = new Map();
-		const FORIGINAL = filter & ORIGINAL;
-		const FMUTATED = filter & MUTATED;
-		if (FORIGINAL || FMUTATED){
+		if (filter & (ORIGINAL | MUTATED)){
 			// diffs from PropertyMutations
 			if (filter & PROPERTY){
 				for (const [node, cache] of this.props){
-					if (!cache.dirty)
+					const kind = MutationDiff.#kind(this.tree.get(node));
+					if (filter & KINDS && !(filter & kind))
 						continue;
-					let has_diff = false;
-					const log = {};
-					// data
-					if (filter & DATA){
-						const op = cache.native.get(null);
-						if (op && op.dirty){
-							has_diff = true;
-							const d = log.data = {};
-							if (FORIGINAL)
-								d.original = op.value;
-							if (FMUTATED)
-								d.mutated = node.data;
-						}
-					}
-					// attributes
-					if (filter & ATTRIBUTE){
-						let has_attrs = false;
-						const attrs = {};
-						for (const [key, op] of cache.native){
-							if (!op.dirty || key === null)
-								continue;
-							has_attrs = true;
-							const d = attrs[key] = {};
-							if (FORIGINAL)
-								d.original = op.value;
-							if (FMUTATED)
-								d.mutated = node.getAttribute(key);
-						}
-						if (has_attrs){
-							log.attribute = attrs;
-							has_diff = true;
-						}
-					}
-					// custom properties
-					if (filter & CUSTOM){
-						const custom = new Map();
-						for (const [key, op] of cache.custom){
-							if (!op.dirty)
-								continue;
-							const d = {};
-							custom.set(key, d);
-							if (FORIGINAL)
-								d.original = op.value;
-							if (FMUTATED && custom_get)
-								d.mutated = custom_get(node, key);
-						}
-						if (custom.size){
-							log.custom = custom;
-							has_diff = true;
-						}
-					}
-					if (has_diff)
+					const log = MutationDiff.#prop_diff(node, cache, filter, custom_get, this.properties);
+					if (log){
+						log.kind = KIND_NAMES[kind];
 						out.set(node, log);
+					}
 				}
 			}
 			// diffs from TreeMutations
 			if (filter & CHILDREN){
-				const copy_obj = (o) => {
-					if (!o) return;
-					const oc = {parent: o.parent};
-					if (!(o.prev === undefined || o.prev instanceof SiblingPromise))
-						oc.prev = o.prev;
-					if (!(o.next === undefined || o.next instanceof SiblingPromise))
-						oc.next = o.next;
-					return oc;
-				};
 				for (const op of this.tree.mutations()){
+					const kind = MutationDiff.#kind(op);
+					if (filter & KINDS && !(filter & kind))
+						continue;
 					const node = op.node;
 					let log = out.get(node);
 					if (!log){
-						log = {};
+						log = {kind: KIND_NAMES[kind]};
 						out.set(node, log);
 					}
-					const d = log.children = {};
-					let v;
-					if (FORIGINAL && (v = copy_obj(op.original)))
-						d.original = v;
-					if (FMUTATED && (v = copy_obj(op.mutated)))
-						d.mutated = v;
+					log.children = MutationDiff.#position_diff(op, filter);
 				}
 			}
+			if (filter & COLLAPSED){
+				for (const node of out.keys()){
+					if (this.#collapsed(node))
+						out.delete(node);
+				}
+			}
+		}
+		return out;
+	}
+	/** Check if a node's changes are part of an inserted or removed subtree, for the
+	 * {@link MutationDiffFlags.COLLAPSED|COLLAPSED} flag
+	 * @private
+	 */
+	#collapsed(node){
+		const op = this.tree.get(node);
+		const kind = MutationDiff.#kind(op);
+		// still needs to be reported relative to its new parent
+		if (kind === MOVED)
+			return false;
+		// removed nodes are inside a subtree of the original DOM; others are inside one in the mutated DOM
+		let p = kind === REMOVED ? op.original.parent : node.parentNode;
+		while (p){
+			const pop = this.tree.get(p);
+			if (!pop)
+				p = p.parentNode;
+			else if (!pop.original || !pop.mutated)
+				return true;
+			else p = kind === REMOVED ? pop.original.parent : p.parentNode;
+		}
+		return false;
+	}
+	/** Get the diff for a single node. This reads the tracked changes for the node directly, so is
+	 * much cheaper than looking up the node in the full {@link MutationDiff#diff|diff}.
+	 * @param {Node} node the node to get changes for
+	 * @param {number} [filter={@link MutationDiffFlags.ALL|ALL}] same as for {@link MutationDiff#diff|diff}
+	 * @param {MutationDiff~customGetCbk} [custom_get] same as for {@link MutationDiff#diff|diff}
+	 * @returns {?MutationDiff~Diff} the same as the node's entry in {@link MutationDiff#diff|diff}, or
+	 *  null if the node has no changes
+	 */
+	node_diff(node, filter=ALL, custom_get){
+		let log = null;
+		if (!(filter & (ORIGINAL | MUTATED)))
+			return log;
+		const op = this.tree.get(node);
+		const kind = MutationDiff.#kind(op);
+		if (filter & KINDS && !(filter & kind))
+			return log;
+		const cache = this.props.get(node);
+		if (cache && filter & PROPERTY)
+			log = MutationDiff.#prop_diff(node, cache, filter, custom_get, this.properties) || null;
+		if (log)
+			log.kind = KIND_NAMES[kind];
+		if (op && filter & CHILDREN){
+			if (!log)
+				log = {kind: KIND_NAMES[kind]};
+			log.children = MutationDiff.#position_diff(op, filter);
+		}
+		return log;
+	}
+	/** Check if a single node has changes. This is like {@link MutationDiff#mutated|mutated}, but for
+	 * the node itself rather than its descendants.
+	 * @param {Node} node the node to check
+	 * @param {number} [filter={@link MutationDiffFlags.ALL|ALL}] A bitmask for which kinds of changes to
+	 *  consider, as given by {@link MutationDiffFlags}; the {@link MutationDiffFlags.ORIGINAL|ORIGINAL}
+	 *  and {@link MutationDiffFlags.MUTATED|MUTATED} flags are ignored
+	 * @returns {boolean} true if the node's properties or position differ from the original
+	 */
+	has_changed(node, filter=ALL){
+		if (filter & CHILDREN && this.tree.has(node))
+			return true;
+		const cache = this.props.get(node);
+		if (!cache?.dirty || !(filter & PROPERTY))
+			return false;
+		for (const [key, op] of cache.native){
+			if (op.dirty && filter & (key === null ? DATA : ATTRIBUTE))
+				return true;
+		}
+		if (filter & CUSTOM){
+			for (const op of cache.custom.values())
+				if (op.dirty)
+					return true;
+		}
+		return false;
+	}
+	/** Get the names of a node's modified attributes
+	 * @param {Node} node the node to check
+	 * @returns {string[]} attribute names, keyed as in the `attribute` diff output, so namespaced
+	 *  attributes are given as `"namespace:localName"`; empty if there are none
+	 */
+	changed_attributes(node){
+		const out = [];
+		const cache = this.props.get(node);
+		if (cache?.dirty){
+			for (const [key, op] of cache.native){
+				if (op.dirty && key !== null)
+					out.push(key);
+			}
 		}
 		return out;
 	}
+	/** Get the kind flag for a node's position change
+	 * @param {?MutatedNode} op the node's tracked position, if it has moved
+	 * @returns {number} one of the kind flags, or zero if the position is unchanged
+	 */
+	static #kind(op){
+		if (!op)
+			return 0;
+		if (!op.original)
+			return INSERTED;
+		return op.mutated ? MOVED : REMOVED;
+	}
+	/** Format a node's property changes as given by `diff()`
+	 * @returns {MutationDiff~Diff | undefined} undefined if there are no changes
+	 */
+	static #prop_diff(node, cache, filter, custom_get, properties){
+		if (!cache.dirty)
+			return;
+		const FORIGINAL = filter & ORIGINAL;
+		const FMUTATED = filter & MUTATED;
+		let has_diff = false;
+		const log = {};
+		// data
+		if (filter & DATA){
+			const op = cache.native.get(null);
+			if (op && op.dirty){
+				has_diff = true;
+				const d = log.data = {};
+				if (FORIGINAL)
+					d.original = op.value;
+				if (FMUTATED)
+					d.mutated = node.data;
+				if (filter & TEXT_SPLICES)
+					d.splices = text_splices(op.value, node.data);
+			}
+		}
+		// attributes
+		if (filter & ATTRIBUTE){
+			let has_attrs = false;
+			const attrs = {};
+			for (const [key, op] of cache.native){
+				if (!op.dirty || key === null)
+					continue;
+				has_attrs = true;
+				const d = attrs[key] = {};
+				if (op.namespace){
+					d.namespace = op.namespace;
+					d.localName = op.name;
+					if (op.prefix)
+						d.prefix = op.prefix;
+				}
+				if (FORIGINAL)
+					d.original = op.value;
+				if (FMUTATED)
+					d.mutated = PropertyMutations.get_attribute(node, op.name ?? key, op.namespace);
+			}
+			if (has_attrs){
+				log.attribute = attrs;
+				has_diff = true;
+			}
+		}
+		// custom properties
+		if (filter & CUSTOM){
+			const custom = new Map();
+			for (const [key, op] of cache.custom){
+				if (!op.dirty)
+					continue;
+				const d = {};
+				custom.set(key, d);
+				if (FORIGINAL)
+					d.original = op.value;
+				if (FMUTATED){
+					const prop = properties.get(key);
+					if (prop)
+						d.mutated = prop.get(node);
+					else if (custom_get)
+						d.mutated = custom_get(node, key);
+				}
+			}
+			if (custom.size){
+				log.custom = custom;
+				has_diff = true;
+			}
+		}
+		if (has_diff)
+			return log;
+	}
+	/** Format a node's position change as given by `diff()`
+	 * @param {MutatedNode} op
+	 * @returns {MutationDiff~DiffChildren}
+	 */
+	static #position_diff(op, filter){
+		const copy_obj = (o) => {
+			if (!o) return;
+			const oc = {parent: o.parent};
+			if (!(o.prev === undefined || o.prev instanceof SiblingPromise))
+				oc.prev = o.prev;
+			if (!(o.next === undefined || o.next instanceof SiblingPromise))
+				oc.next = o.next;
+			return oc;
+		};
+		const d = {};
+		let v;
+		if (filter & ORIGINAL && (v = copy_obj(op.original)))
+			d.original = v;
+		if (filter & MUTATED && (v = copy_obj(op.mutated)))
+			d.mutated = v;
+		return d;
+	}
 
 	/** Generator which yields groups of **adjacent** nodes whose DOM position was altered. When
 	 * patching a DOM and rearranging the nodes to new positions, it is necessary to link adjacent
@@ -543,12 +1442,75 @@ class MutationDiff{
 	 * See {@link MutationDiff.patch_grouped_children} for using the result to patch a (possibly
 	 * different) DOM.
 	 * @param {MutationDiffFlags.ORIGINAL | MutationDiffFlags.MUTATED} [mode={@link MutationDiffFlags.ORIGINAL|ORIGINAL}]
-	 * 	whether to group nodes' by their original or mutated positions
+	 * 	whether to group nodes' by their original or mutated positions. You can also include kind flags, such as
+	 *  {@link MutationDiffFlags.INSERTED|INSERTED}, to only group nodes of that kind; nodes of other kinds are
+	 *  then treated like unmoved siblings. Kind flags can't be used with `minimal`.
 	 * @param {boolean} [include_removed=true] setting this to true will include an additional group
 	 *  for "removed" nodes: nodes that are not present in the original/mutated DOM
+	 * @param {boolean} [minimal=false] Reinterpret the node movements for each parent to give the fewest
+	 *  number of moved nodes; see [Diffing Caveat #1](#diffing-caveat-1). For example, a movement of
+	 *  `[B,C,D]` in `[A,B,C,D] -> [B,C,D,A]` would be reported as a movement of `A` instead. This
+	 *  may include nodes that were not moved by the actual mutations. The groups are computed up front,
+	 *  and the DOM should be {@link MutationDiff#synchronize|synchronized} so that siblings are known.
 	 * @yields {MutationDiff~DiffPosition}
 	 */
-	*diff_grouped_children(mode=ORIGINAL, include_removed=true){
+	*diff_grouped_children(mode=ORIGINAL, include_removed=true, minimal=false){
+		if (!minimal){
+			const kinds = mode & KINDS;
+			if (!kinds){
+				yield* this.#grouped_children(mode, include_removed, this.tree.mutations());
+				return;
+			}
+			// nodes of other kinds are treated as unmoved siblings, so groups stop at them
+			const get = (node) => {
+				const op = this.tree.get(node);
+				if (op && kinds & MutationDiff.#kind(op))
+					return op;
+			};
+			const ops = Array.from(this.tree.mutations()).filter(op => kinds & MutationDiff.#kind(op));
+			yield* MutationDiff.#group(mode, include_removed, ops, get);
+			return;
+		}
+		if (mode & KINDS)
+			throw Error("MutationDiff: kind flags can't be combined with minimal groups");
+		const original = Array.from(this.#grouped_children(ORIGINAL, true, this.tree.mutations()));
+		let groups, source;
+		if (mode & ORIGINAL){
+			groups = original;
+			source = (parent) => Array.from(parent.childNodes);
+		}
+		else if (mode & MUTATED){
+			groups = Array.from(this.#grouped_children(MUTATED, true, this.tree.mutations()));
+			// original DOM is the source
+			const by_parent = MutationDiff.#by_parent(original);
+			source = (parent, moved) => MutationDiff.#place(
+				Array.from(parent.childNodes).filter(n => !moved.has(n)),
+				by_parent.get(parent) || []
+			);
+		}
+		else return;
+		for (const group of MutationDiff.#minimize(groups, source)){
+			if (group.parent || include_removed)
+				yield group;
+		}
+	}
+	/** Implementation for {@link MutationDiff#diff_grouped_children|diff_grouped_children}. Groups
+	 * are started only from the `mutations` given, though adjacent floating siblings will still be
+	 * linked into the group, even if they were not included in `mutations`
+	 * @param {Iterable<MutatedNode>} mutations the mutations to group
+	 * @private
+	 */
+	*#grouped_children(mode, include_removed, mutations){
+		yield* MutationDiff.#group(mode, include_removed, mutations, (node) => this.tree.get(node));
+	}
+	/** Groups adjacent positions, shared by {@link MutationDiff#diff_grouped_children|diff_grouped_children}
+	 * and {@link MutationDiff.patch|patch}
+	 * @param {Iterable<Object>} ops objects with a `node` property, and optional `original` and
+	 *  `mutated` positions
+	 * @param {function} get lookup the op for a node, or undefined if the node has not moved
+	 * @private
+	 */
+	static *#group(mode, include_removed, ops, get){
 		if (mode & ORIGINAL)
 			mode = "original";
 		else if (mode & MUTATED)
@@ -564,7 +1526,7 @@ class MutationDiff{
 				const link = bop[dir];
 				if (link === undefined || link instanceof SiblingPromise)
 					return;
-				if (link === null || !(bop = this.tree.get(link))){
+				if (link === null || !(bop = get(link))){
 					// inherit the linked ops prev/next
 					group[dir] = link;
 					break;
@@ -576,7 +1538,7 @@ class MutationDiff{
 			}
 		};
 		const removed = [];
-		for (let op of this.tree.mutations()){
+		for (let op of ops){
 			const node = op.node;
 			// this node already grouped
 			if (skip.has(node)){
@@ -599,6 +1561,121 @@ class MutationDiff{
 			yield {nodes: removed, parent: null};
 	}
 
+	/** Reinterpret groups of node movements to move the fewest nodes. For each parent, the nodes
+	 * that can stay in place are the longest increasing subsequence of their destination indices,
+	 * taken in source order. All other nodes are regrouped into runs between them.
+	 * @param {MutationDiff~DiffPosition[]} groups the destination positions
+	 * @param {function(Node, Set<Node>): Node[]} source gets the child nodes of a parent before the
+	 *  movements are applied; also passed the set of all nodes in `groups`
+	 * @returns {MutationDiff~DiffPosition[]}
+	 * @private
+	 */
+	static #minimize(groups, source){
+		const moved = new Set();
+		let removed = null;
+		for (const g of groups){
+			for (const n of g.nodes)
+				moved.add(n);
+			if (!g.parent)
+				removed = g;
+		}
+		const out = [];
+		for (const [parent, pgroups] of MutationDiff.#by_parent(groups)){
+			const src = source(parent, moved);
+			const dst = MutationDiff.#place(src.filter(n => !moved.has(n)), pgroups);
+			const index = new Map();
+			dst.forEach((n, i) => index.set(n, i));
+			const stay = MutationDiff.#lis(src.filter(n => index.has(n)).map(n => index.get(n)));
+			let run = null;
+			for (let i=0; i<dst.length; i++){
+				if (stay.has(i)){
+					if (run){
+						run.next = dst[i];
+						out.push(run);
+						run = null;
+					}
+					continue;
+				}
+				if (!run)
+					run = {nodes: [], parent, prev: i ? dst[i-1] : null};
+				run.nodes.push(dst[i]);
+			}
+			if (run){
+				run.next = null;
+				out.push(run);
+			}
+		}
+		if (removed)
+			out.push(removed);
+		return out;
+	}
+	/** Group positions by their parent, excluding removed nodes
+	 * @returns {Map<Node, MutationDiff~DiffPosition[]>}
+	 * @private
+	 */
+	static #by_parent(groups){
+		const out = new Map();
+		for (const g of groups){
+			if (!g.parent)
+				continue;
+			let arr = out.get(g.parent);
+			if (!arr)
+				out.set(g.parent, arr = []);
+			arr.push(g);
+		}
+		return out;
+	}
+	/** Insert groups into a list of fixed child nodes, using the groups' siblings
+	 * @param {Node[]} list the fixed child nodes; this is modified in place
+	 * @param {MutationDiff~DiffPosition[]} groups groups to insert into the list
+	 * @returns {Node[]} the list
+	 * @private
+	 */
+	static #place(list, groups){
+		while (groups.length){
+			const remaining = [];
+			for (const g of groups){
+				let i = -1;
+				if (g.next !== undefined)
+					i = g.next === null ? list.length : list.indexOf(g.next);
+				if (i === -1 && g.prev !== undefined)
+					i = g.prev === null ? 0 : list.indexOf(g.prev) + 1 || -1;
+				if (i === -1)
+					remaining.push(g);
+				else list.splice(i, 0, ...g.nodes);
+			}
+			if (remaining.length === groups.length)
+				throw Error("MutationDiff: siblings unknown; synchronize before finding minimal moves");
+			groups = remaining;
+		}
+		return list;
+	}
+	/** Longest increasing subsequence
+	 * @param {number[]} seq distinct numbers
+	 * @returns {Set<number>} the values in the subsequence
+	 * @private
+	 */
+	static #lis(seq){
+		// tails[k] is the index of the smallest tail of an increasing subsequence of length k+1
+		const tails = [];
+		const prev = new Array(seq.length);
+		for (let i=0; i<seq.length; i++){
+			let lo = 0, hi = tails.length;
+			while (lo < hi){
+				const mid = (lo + hi) >> 1;
+				if (seq[tails[mid]] < seq[i])
+					lo = mid+1;
+				else hi = mid;
+			}
+			prev[i] = lo ? tails[lo-1] : -1;
+			tails[lo] = i;
+		}
+		const out = new Set();
+		for (let i = tails.length ? tails[tails.length-1] : -1; i !== -1; i = prev[i])
+			out.add(seq[i]);
+		return out;
+	}
+
 	/** Moves groups of nodes inside the current DOM to new positions. You can use this to revert nodes' DOM positions,
 	 * or apply mutated positions to an unchanged DOM. Out-of-the-box this does not support patching an unrelated DOM
 	 * tree. However, this could be done easily by mapping nodes from one tree to another:
@@ -612,12 +1689,30 @@ class MutationDiff{
 	 * diff.patch_grouped_children(remapped_diff());
 	 * ```
 	 * The `remap_fn` might consult a `Map<Node,Node>` or fetch a unique identifier for the node that we can find a
-	 * correspondence to in the other DOM.
+	 * correspondence to in the other DOM. The group's `parent`, `prev`, and `next` would need remapping as well; see
+	 * {@link MutationDiff.patch|patch}, which handles this for you and patches properties too.
 	 * @param {Iterable<MutationDiff~DiffPosition>} groups This can be any iterable, such as an array or generator. The
 	 * `nodes` property must be set, so the output of {@link MutationDiff#diff|diff} will not work; you can use the
 	 * output of {@link MutationDiff#diff_grouped_children|diff_grouped_children}.
+	 * @param {MutationDiff~childrenCbk} [record] If provided, this is called for each node removal and insertion
+	 *  that is performed, with the same arguments as {@link MutationDiff#children|children}. You can use this to
+	 *  report the patch to a `MutationDiff` synchronously, rather than waiting for a `MutationObserver`
+	 * @param {boolean} [minimal=false] Reinterpret the groups to move the fewest number of nodes, relative to the
+	 *  current DOM; see {@link MutationDiff#diff_grouped_children|diff_grouped_children}. The groups' siblings
+	 *  must be known.
+	 * @param {boolean} [selection=false] Preserve the document's selection and focused element. Moving a node
+	 *  loses any selection inside it, as well as focus, so they are saved beforehand and restored afterwards.
+	 *  Selection endpoints inside text keep their offset; otherwise they are kept next to a sibling that isn't
+	 *  moved. An endpoint inside a node that is removed is placed where the node used to be.
 	 */
-	static patch_grouped_children(groups){
+	static patch_grouped_children(groups, record, minimal=false, selection=false){
+		if (minimal)
+			groups = MutationDiff.#minimize(Array.from(groups), (parent) => Array.from(parent.childNodes));
+		let restore;
+		if (selection){
+			groups = Array.from(groups);
+			restore = MutationDiff.#preserve_selection(groups);
+		}
 		/* Order of node movements can matter:
 			1. If a node will be inserted next to a sibling, but that sibling is floating, the sibling
 				needs to be resolved first. We can easily handle this by linking up nodes by their
@@ -640,8 +1735,16 @@ class MutationDiff{
 		*/
 		const add = []; // [{group, next: bool}]
 		for (const g of groups){
-			for (const n of g.nodes)
+			for (const n of g.nodes){
+				const parent = n.parentNode;
+				if (!parent)
+					continue;
+				const prev = n.previousSibling;
+				const next = n.nextSibling;
 				n.remove();
+				if (record)
+					record(parent, [n], [], prev, next);
+			}
 			if (g.parent){
 				// sibling may be undefined for untracked adds; we'll just skip those nodes
 				const next_set = g.next !== undefined;
@@ -674,26 +1777,623 @@ class MutationDiff{
 					g.prev.after(...g.nodes);
 				else g.parent.prepend(...g.nodes);
 			}
+			if (record)
+				record(g.parent, [], g.nodes, g.nodes[0].previousSibling, g.nodes[g.nodes.length-1].nextSibling);
 		}
+		restore?.();
+	}
+	/** Save the selection and focus before moving the nodes of `groups`
+	 * @param {MutationDiff~DiffPosition[]} groups
+	 * @param {Node} [root] used to find the document when there are no nodes to move
+	 * @returns {function} restores the selection and focus
+	 */
+	static #preserve_selection(groups, root){
+		const moved = groups.flatMap(g => g.nodes);
+		const doc = (moved[0] || root)?.ownerDocument || document;
+		return preserve_selection(doc, moved);
+	}
+
+	/** Convert the output of {@link MutationDiff#diff|diff} to plain JSON, which can be stored or sent
+	 * elsewhere. Nodes are encoded as references relative to `root`:
+	 * - `null`, for a null sibling
+	 * - `[i, j, ...]`, a path of child indices, starting from `root`
+	 * - `{key}`, the value of the `key` attribute, for elements inside `root`
+	 * - `{node, path}`, for nodes not present inside `root`, e.g. removed or newly inserted nodes.
+	 *   This is an index into a top-level `nodes` list holding a snapshot of the node's current
+	 *   content, and an optional path of child indices within it. Children that have their own
+	 *   position in the diff are excluded from the snapshot.
+	 *
+	 * Custom properties are encoded as a list of `[key, value]` pairs, and are assumed to be JSON
+	 * serializable. Use {@link MutationDiff.deserialize|deserialize} to convert back.
+	 * @param {Map<Node, MutationDiff~Diff>} diff output of {@link MutationDiff#diff|diff}. Only nodes
+	 *  inside `root`, in either the original or mutated DOM, should be included.
+	 * @param {Node} root the node paths are relative to; `root` itself should not have been moved
+	 * @param {MutationDiffFlags.ORIGINAL | MutationDiffFlags.MUTATED} [mode={@link MutationDiffFlags.MUTATED|MUTATED}]
+	 *  whether paths are for the original or mutated DOM. For the original DOM, `diff` must include
+	 *  {@link MutationDiffFlags.ORIGINAL|ORIGINAL} {@link MutationDiffFlags.CHILDREN|CHILDREN} positions,
+	 *  and should be {@link MutationDiff#synchronize|synchronized} so that original siblings are known.
+	 * @param {string} [key] an attribute which uniquely identifies an element, e.g. `"id"`. If
+	 *  provided, elements which have the attribute and whose value was not modified are encoded
+	 *  using the attribute, rather than a path.
+	 * @returns {Object} JSON serializable object
+	 */
+	static serialize(diff, root, mode=MUTATED, key){
+		return new DiffSerializer(diff, root, mode & ORIGINAL, key).serialize();
+	}
+
+	/** Convert the output of {@link MutationDiff.serialize|serialize} back to the format of
+	 * {@link MutationDiff#diff|diff}. Node snapshots are created as new, detached nodes.
+	 * @param {Object | string} json output of {@link MutationDiff.serialize|serialize}, or its
+	 *  stringified JSON
+	 * @param {Node} root the node paths are relative to. Its DOM should be in the same state (original or
+	 *  mutated) as the one that was serialized, but need not be the same tree, e.g. it could be a clone.
+	 * @returns {Map<Node, MutationDiff~Diff>}
+	 * @throws If a node can't be resolved, or a node serialized by `key` shares its key value with another
+	 *  element inside `root`
+	 */
+	static deserialize(json, root){
+		return DiffSerializer.deserialize(json, root);
+	}
+
+	/** Apply either the original or mutated side of a diff to a DOM. This can be used to revert or
+	 * replay changes on the tracked DOM itself, or on a different DOM, such as a copy that is in a
+	 * different document, offscreen, or on a server. Node positions are patched first using
+	 * {@link MutationDiff.patch_grouped_children|patch_grouped_children}, followed by data, attribute,
+	 * and custom properties; positions and properties are independent, so nodes that both moved and
+	 * changed properties are handled. Any values for `mode` that are missing from the diff are not
+	 * patched.
+	 * @param {Map<Node, MutationDiff~Diff> | Object | string} diff output of {@link MutationDiff#diff|diff},
+	 *  which must include values for `mode`, including {@link MutationDiffFlags.CHILDREN|CHILDREN}
+	 *  positions. Alternatively, the output of
+	 *  {@link MutationDiff.serialize|serialize}, serialized with paths for the opposite of `mode`.
+	 * @param {MutationDiffFlags.ORIGINAL | MutationDiffFlags.MUTATED | Object} [mode={@link MutationDiffFlags.MUTATED|MUTATED}]
+	 *  Which side of the diff to apply. You may instead pass an options object here, with `mode` and
+	 *  `custom_set` as properties, in addition to the following:
+	 * @param {function(Node): Node} [mode.map] Maps a node from the diff to the node that should be
+	 *  patched in the other DOM. For nodes that are not present in the other DOM, you could return a
+	 *  clone. It is called at most once per node. If not provided, the diff's nodes are patched directly.
+	 * @param {Node} [mode.root] The root node to resolve paths against when `diff` is serialized. Its
+	 *  DOM should be in the opposite state of `mode`.
+	 * @param {MutationDiff~customSetCbk} [custom_set] A callback to set custom properties. If not
+	 *  provided, custom properties are not patched.
+	 */
+	static patch(diff, mode=MUTATED, custom_set){
+		let map, root;
+		if (typeof mode === "object")
+			({map, root, mode=MUTATED, custom_set} = mode);
+		const side = mode & ORIGINAL ? "original" : "mutated";
+		if (!(diff instanceof Map)){
+			if (!root)
+				throw Error("MutationDiff: root is required to patch a serialized diff");
+			diff = DiffSerializer.deserialize(diff, root);
+		}
+		else if (map){
+			const cache = new Map();
+			const remap = (node) => {
+				if (!node)
+					return node;
+				let mapped = cache.get(node);
+				if (!mapped){
+					mapped = map(node);
+					cache.set(node, mapped);
+				}
+				return mapped;
+			};
+			const remapped = new Map();
+			for (const [node, d] of diff){
+				const log = {...d};
+				if (d.children){
+					log.children = {};
+					for (const which in d.children){
+						const pos = d.children[which];
+						const pc = log.children[which] = {};
+						for (const k in pos)
+							pc[k] = remap(pos[k]);
+					}
+				}
+				remapped.set(remap(node), log);
+			}
+			diff = remapped;
+		}
+		// node positions
+		const positions = new Map();
+		for (const [node, d] of diff){
+			if (d.children)
+				positions.set(node, {node, ...d.children});
+		}
+		MutationDiff.patch_grouped_children(
+			MutationDiff.#group(mode, true, positions.values(), (node) => positions.get(node))
+		);
+		// properties
+		for (const [node, d] of diff){
+			if (d.data && side in d.data)
+				node.data = d.data[side];
+			if (d.attribute){
+				for (const key in d.attribute){
+					const attr = d.attribute[key];
+					if (side in attr){
+						const ns = attr.namespace ?? null;
+						PropertyMutations.set_attribute(node, ns ? attr.localName : key, ns, attr[side], attr.prefix);
+					}
+				}
+			}
+			if (d.custom && custom_set){
+				for (const [key, prop] of d.custom){
+					if (side in prop)
+						custom_set(node, key, prop[side]);
+				}
+			}
+		}
+	}
+	/** Copy the namespace info of an attribute's diff property */
+	static #copy_ns(from, to){
+		to.namespace = from.namespace;
+		to.localName = from.localName;
+		if (from.prefix)
+			to.prefix = from.prefix;
+	}
+
+	/** Swap the original and mutated sides of a diff. For example, after a {@link MutationDiff#revert|revert},
+	 * the inverted diff gives the changes needed to reapply the mutations. Nodes that were only present in
+	 * one of the DOMs (e.g. newly inserted or removed nodes) will now only be present in the other.
+	 * {@link MutationDiff~TextSplice|Text splices} are inverted as well, so they convert the mutated text
+	 * to the original.
+	 * @param {Map<Node, MutationDiff~Diff>} diff output of {@link MutationDiff#diff|diff}
+	 * @returns {Map<Node, MutationDiff~Diff>} a new, inverted diff; `diff` is not modified
+	 */
+	static invert(diff){
+		const swap = (o) => {
+			const out = {};
+			if ("original" in o)
+				out.mutated = o.original;
+			if ("mutated" in o)
+				out.original = o.mutated;
+			return out;
+		};
+		const out = new Map();
+		for (const [node, d] of diff){
+			const log = {};
+			if (d.data){
+				log.data = swap(d.data);
+				if (d.data.splices){
+					// offsets shift by the length changes of the prior splices
+					let delta = 0;
+					log.data.splices = d.data.splices.map(s => {
+						const inv = {offset: s.offset - delta, removed: s.added, added: s.removed};
+						delta += s.added.length - s.removed.length;
+						return inv;
+					});
+				}
+			}
+			if (d.attribute){
+				log.attribute = {};
+				for (const key in d.attribute){
+					const attr = d.attribute[key];
+					const inv = log.attribute[key] = swap(attr);
+					if (attr.namespace)
+						MutationDiff.#copy_ns(attr, inv);
+				}
+			}
+			if (d.custom){
+				log.custom = new Map();
+				for (const [key, prop] of d.custom)
+					log.custom.set(key, swap(prop));
+			}
+			if (d.children){
+				const c = log.children = swap(d.children);
+				for (const k in c)
+					c[k] = {...c[k]};
+			}
+			if (d.kind)
+				log.kind = d.kind === "inserted" ? "removed" : d.kind === "removed" ? "inserted" : d.kind;
+			out.set(node, log);
+		}
+		return out;
+	}
+
+	/** Merge two consecutive diffs into a single net diff. The mutated DOM of `a` should be the original DOM
+	 * of `b`, e.g. `a` was fetched just before a {@link MutationDiff#clear|clear}, and `b` is the diff
+	 * afterwards. Properties that have returned to their original value are dropped. Node positions follow
+	 * the same rule as the internal tracking: a node is back in its original position when it is inside
+	 * its original parent, and its nearest sibling that also originated from that parent (ignoring nodes
+	 * that were moved from elsewhere) is unmoved and matches its original sibling. This can propagate,
+	 * so that whole runs of moved nodes cancel out.
+	 *
+	 * Both diffs should contain the {@link MutationDiffFlags.ORIGINAL|ORIGINAL} and
+	 * {@link MutationDiffFlags.MUTATED|MUTATED} sides, and should have been fetched while
+	 * {@link MutationDiff#synchronize|synchronized}; otherwise, values that can't be compared are kept,
+	 * and siblings that can't be determined are left unknown. {@link MutationDiff~TextSplice|Text splices}
+	 * are recomputed when both diffs include them.
+	 * @param {Map<Node, MutationDiff~Diff>} a the earlier diff, output of {@link MutationDiff#diff|diff}
+	 * @param {Map<Node, MutationDiff~Diff>} b the later diff
+	 * @param {Map<*, MutationDiff~PropertyDefinition>} [properties] the tracker's
+	 *  {@link MutationDiff#properties|properties}, so that custom properties with an `equals` comparator,
+	 *  such as those of {@link MutationDiffFlags.FORM|FORM}, are compared with it
+	 * @returns {Map<Node, MutationDiff~Diff>} a new diff from the original DOM of `a` to the mutated DOM
+	 *  of `b`; neither input is modified
+	 */
+	static compose(a, b, properties){
+		/** Merge a property, returning undefined if it was reverted */
+		const merge = (pa, pb, equals) => {
+			const out = {};
+			const o = pa || pb, m = pb || pa;
+			if ("original" in o)
+				out.original = o.original;
+			if ("mutated" in m)
+				out.mutated = m.mutated;
+			if ("original" in out && "mutated" in out && (equals ? equals(out.original, out.mutated) : out.original === out.mutated))
+				return;
+			return out;
+		};
+		const children = MutationDiff.#compose_children(a, b);
+		const out = new Map();
+		for (const node of new Set([...a.keys(), ...b.keys()])){
+			const da = a.get(node) || {}, db = b.get(node) || {};
+			const log = {};
+			if (da.data || db.data){
+				const d = merge(da.data, db.data);
+				if (d){
+					if (!(da.data && db.data)){
+						const splices = (da.data || db.data).splices;
+						if (splices)
+							d.splices = splices.map(s => ({...s}));
+					}
+					else if (da.data.splices && db.data.splices && "original" in d && "mutated" in d)
+						d.splices = text_splices(d.original, d.mutated);
+					log.data = d;
+				}
+			}
+			if (da.attribute || db.attribute){
+				const attrs = {};
+				let has_attrs = false;
+				for (const key of new Set([...Object.keys(da.attribute || {}), ...Object.keys(db.attribute || {})])){
+					const pa = da.attribute?.[key], pb = db.attribute?.[key];
+					const d = merge(pa, pb);
+					if (d){
+						if ((pa || pb).namespace)
+							MutationDiff.#copy_ns(pb?.prefix ? pb : pa || pb, d);
+						attrs[key] = d;
+						has_attrs = true;
+					}
+				}
+				if (has_attrs)
+					log.attribute = attrs;
+			}
+			if (da.custom || db.custom){
+				const custom = new Map();
+				for (const key of new Set([...(da.custom?.keys() || []), ...(db.custom?.keys() || [])])){
+					const d = merge(da.custom?.get(key), db.custom?.get(key), properties?.get(key)?.equals);
+					if (d)
+						custom.set(key, d);
+				}
+				if (custom.size)
+					log.custom = custom;
+			}
+			const c = children.get(node);
+			if (c)
+				log.children = c;
+			if (Object.keys(log).length){
+				if (da.kind || db.kind)
+					log.kind = !c ? "property-only" : !c.original ? "inserted" : !c.mutated ? "removed" : "moved";
+				out.set(node, log);
+			}
+		}
+		return out;
+	}
+	/** Net node positions for {@link MutationDiff.compose|compose}
+	 * @returns {Map<Node, MutationDiff~DiffChildren>}
+	 * @private
+	 */
+	static #compose_children(a, b){
+		// index nodes by their sibling, e.g. next.get(X) is the node whose prev sibling is X
+		const index = (diff, mode) => {
+			const idx = {prev: new Map(), next: new Map()};
+			for (const [node, d] of diff){
+				const pos = d.children?.[mode];
+				if (!pos)
+					continue;
+				if (pos.next)
+					idx.prev.set(pos.next, node);
+				if (pos.prev)
+					idx.next.set(pos.prev, node);
+			}
+			return idx;
+		};
+		const a_original = index(a, "original");
+		const b_mutated = index(b, "mutated");
+		/* A node that only one diff moved keeps its parent across the other diff, but its siblings may
+			have changed. Its sibling is either a node moved next to it by the other diff, or else its
+			intermediate sibling, skipping any nodes the other diff moved away from it
+		*/
+		const outer = (node, pos, idx, other, side) => {
+			const out = {parent: pos.parent};
+			for (const dir of ["prev","next"]){
+				let s = idx[dir].get(node);
+				if (s === undefined){
+					s = pos[dir];
+					let c;
+					while (s && (c = other.get(s)?.children))
+						s = c[side]?.[dir];
+				}
+				if (s !== undefined)
+					out[dir] = s;
+			}
+			return out;
+		};
+		const floating = new Map();
+		const nodes = new Set();
+		for (const diff of [a, b]){
+			for (const [node, d] of diff){
+				if (d.children)
+					nodes.add(node);
+			}
+		}
+		for (const node of nodes){
+			const ca = a.get(node)?.children, cb = b.get(node)?.children;
+			const c = {};
+			if (ca){
+				if (ca.original)
+					c.original = {...ca.original};
+			}
+			else if (cb.original)
+				c.original = outer(node, cb.original, a_original, a, "mutated");
+			if (cb){
+				if (cb.mutated)
+					c.mutated = {...cb.mutated};
+			}
+			else if (ca.mutated)
+				c.mutated = outer(node, ca.mutated, b_mutated, b, "original");
+			// inserted and then removed
+			if (c.original || c.mutated)
+				floating.set(node, c);
+		}
+		// same as TreeMutations' revert check; nearest sibling from the same parent, or a fixed node
+		const nearest = (c, dir) => {
+			const parent = c.mutated.parent;
+			let s = c.mutated[dir], f;
+			while (s && (f = floating.get(s))){
+				if (f.original?.parent === parent)
+					return {floating: s};
+				s = f.mutated?.[dir];
+			}
+			if (s !== undefined)
+				return {fixed: s};
+		};
+		const candidates = Array.from(floating.keys());
+		while (candidates.length){
+			const node = candidates.pop();
+			const c = floating.get(node);
+			if (!c?.original || c.original.parent !== c.mutated?.parent)
+				continue;
+			for (const dir of ["prev","next"]){
+				const anchor = nearest(c, dir);
+				if (!anchor || !("fixed" in anchor) || anchor.fixed !== c.original[dir])
+					continue;
+				// node is fixed, which could let its floating neighbors become fixed as well
+				floating.delete(node);
+				for (const side of ["prev","next"]){
+					const n = nearest(c, side);
+					if (n?.floating)
+						candidates.push(n.floating);
+				}
+				break;
+			}
+		}
+		return floating;
 	}
 
 	/** Revert the DOM to its original state. This also produces the effects of {@link MutationDiff#clear|clear}. As
 	 * noted in {@link MutationDiff#clear|clear} you may wish to reattach a corresponding `MutationObserver`.
+	 *
+	 * Any {@link MutationDiffObserver} reporting to this object is paused while reverting, after recording its
+	 * pending records, so the `MutationRecord`s the revert generates are discarded. If you report records to
+	 * this object yourself, you should discard those the revert generates (e.g. with `MutationObserver.takeRecords()`).
+	 * @param {?Node | Object} [root] If provided, only mutations that are inside `root`, either in the original or
+	 *  mutated DOM, are reverted; mutations outside of `root` will continue to be tracked. Node movements are
+	 *  reported back to this `MutationDiff` as they are performed. The DOM should be synchronized beforehand
+	 *  (see {@link MutationDiff#synchronize|synchronize}). Nodes that were moved into `root` from outside are
+	 *  removed, rather than restored to their original position outside `root`. If `root` is not provided and
+	 *  all changes are reverted, all {@link MutationDiff#checkpoint|checkpoints} are released. You may instead
+	 *  pass an options object here, with `root` and `custom_set` as properties, in addition to the following:
+	 * @param {MutationDiff~customGetCbk} [root.custom_get] A callback to get the current value of custom
+	 *  properties. When `root` or `filter` is given, reverted custom properties are reported back to this
+	 *  `MutationDiff` with this as their old value, so that {@link MutationDiff#checkpoint|checkpoints}
+	 *  can restore them. If not provided, checkpoints that have not yet seen the property will not track it.
+	 * @param {boolean} [root.minimal=false] Move the fewest number of nodes to revert the DOM; see
+	 *  {@link MutationDiff#diff_grouped_children|diff_grouped_children}. The DOM should be
+	 *  synchronized beforehand.
+	 * @param {number} [root.filter={@link MutationDiffFlags.ALL|ALL}] A bitmask for which changes to revert,
+	 *  using the {@link MutationDiffFlags.DATA|DATA}, {@link MutationDiffFlags.ATTRIBUTE|ATTRIBUTE},
+	 *  {@link MutationDiffFlags.CUSTOM|CUSTOM}, and {@link MutationDiffFlags.CHILDREN|CHILDREN} flags. If
+	 *  only some changes are reverted, they are reported back to this `MutationDiff` the same as when `root`
+	 *  is given, and the remaining changes continue to be tracked.
+	 * @param {boolean} [root.selection=false] Preserve the selection and focus; see
+	 *  {@link MutationDiffFlags.SELECTION|SELECTION}
 	 * @param {MutationDiff~customSetCbk} [custom_set] A callback to set the mutated value for
 	 *  custom properties. This is used for any properties modified from
-	 *  {@link MutationDiff#custom|custom}. If not provided, these properties are not reverted.
+	 *  {@link MutationDiff#custom|custom}, except those registered with a `set` callback in
+	 *  {@link MutationDiff#define_property|define_property}. If not provided, these properties are not reverted.
+	 *  For backwards compatibility, you may pass `custom_set` as the only argument.
 	 */
-	revert(custom_set){
-		// TODO: `root` option? might be possible if parents are ordered by rootNode or something
+	revert(root, custom_set){
+		let custom_get, minimal=false, filter=ALL, selection=false;
+		if (typeof root === "function"){
+			custom_set = root;
+			root = undefined;
+		}
+		else if (root && root.nodeType === undefined)
+			({root, custom_set, custom_get, minimal=false, filter=ALL, selection=false} = root);
+		this.#unobserved(() => this.#revert(root, custom_set, minimal, filter, custom_get, selection));
+	}
+	/** Implements {@link MutationDiff#revert|revert} */
+	#revert(root, custom_set, minimal, filter, custom_get, selection){
+		const props_filter = MutationDiff.#props_filter(filter);
+		if (root || props_filter !== undefined || !(filter & CHILDREN)){
+			this.#batch(() => {
+				// need to determine what is inside root before modifying the DOM
+				const scope = root ? this.#scope(root, true) : null;
+				let groups = [];
+				if (filter & CHILDREN){
+					if (scope){
+						/* Nodes that originated outside root are only removed. Restoring their original position
+							would require reverting their original siblings and ancestors as well, which are
+							outside root; they remain tracked as removals there.
+						*/
+						groups = Array.from(this.#grouped_children(ORIGINAL, false, scope.original));
+						const removed = [];
+						for (const op of scope.mutated){
+							if (!scope.original.has(op))
+								removed.push(op.node);
+						}
+						if (removed.length)
+							groups.push({nodes: removed, parent: null});
+					}
+					else groups = Array.from(this.diff_grouped_children(ORIGINAL, true, minimal));
+				}
+				// saved before properties, since reverting text resets the selection inside it
+				const restore = selection ? MutationDiff.#preserve_selection(groups, root) : null;
+				if (filter & PROPERTY){
+					for (const node of scope ? scope.props : Array.from(this.props.keys())){
+						// report to ourselves so that checkpoints see the change
+						this.props.get(node).revert(node, custom_set, this, custom_get, props_filter, this.properties);
+						// unreverted properties remain tracked
+						if (!props_filter)
+							this.#forget_props(node);
+					}
+				}
+				/* The remaining nodes need their sibling graph updated, so we report the node movements
+					just as they would be given by MutationObserver; nodes in `root` will become fixed again
+				*/
+				if (filter & CHILDREN)
+					MutationDiff.patch_grouped_children(groups, this.children.bind(this), minimal && !!scope);
+				restore?.();
+			});
+			return;
+		}
+		// checkpoints are all newer than the original DOM
+		this.checkpoints.length = 0;
+		const groups = Array.from(this.diff_grouped_children(ORIGINAL, true, minimal));
+		const restore = selection ? MutationDiff.#preserve_selection(groups) : null;
 		// revert properties
-		for (const [node,props] of this.props)
-			props.revert(node, custom_set);
+		for (const [node,props] of this.props){
+			props.revert(node, custom_set, null, undefined, undefined, this.properties);
+			// not reported to ourselves, so update the last known values here
+			this.#remember_current(node);
+		}
 		this.props.clear();
+		this.#dirty = 0;
 
 		// This can be a little more efficient if the methods were inlined, as I used to have it;
 		// but for the sake of less code duplication and simpler maintenance, we'll just use these
-		MutationDiff.patch_grouped_children(this.diff_grouped_children(ORIGINAL, true));
+		MutationDiff.patch_grouped_children(groups);
 		this.tree.clear();
+		restore?.();
+		this.#notify();
+	}
+	/** Revert the changes for a single node. Changes are reported back to this `MutationDiff`, and
+	 * `MutationRecord`s the revert generates should be discarded, same as for {@link MutationDiff#revert|revert}.
+	 * Only the node itself is reverted, not its descendants.
+	 *
+	 * The node is moved next to its original siblings, wherever they are currently. If the node was
+	 * newly inserted, it is removed. Its original siblings need to be known (see
+	 * {@link MutationDiff#synchronize|synchronize}) and, for at least one of them, currently inside
+	 * the original parent.
+	 * @param {Node} node the node to revert
+	 * @param {number} [filter={@link MutationDiffFlags.ALL|ALL}] A bitmask for which changes to revert,
+	 *  same as for {@link MutationDiff#revert|revert}. Include the {@link MutationDiffFlags.SELECTION|SELECTION}
+	 *  flag to preserve the selection and focus.
+	 * @param {MutationDiff~customSetCbk} [custom_set] A callback to set the value for custom properties;
+	 *  if not provided, these properties are not reverted
+	 * @param {MutationDiff~customGetCbk} [custom_get] A callback to get the current value of custom
+	 *  properties, which is reported as their old value; same as for {@link MutationDiff#revert|revert}
+	 * @throws If the node's position can't be reverted, since its original siblings are unknown or have
+	 *  been moved to another parent, or its original parent is now inside the node
+	 */
+	revert_node(node, filter=ALL, custom_set, custom_get){
+		this.#unobserved(() => this.#revert_node(node, filter, custom_set, custom_get));
+	}
+	/** Implements {@link MutationDiff#revert_node|revert_node} */
+	#revert_node(node, filter, custom_set, custom_get){
+		const props = filter & PROPERTY && this.props.get(node);
+		const op = filter & CHILDREN && this.tree.get(node);
+		let group;
+		if (op){
+			if (!op.original)
+				group = {nodes: [node], parent: null};
+			else{
+				// need a sibling that is already in place to insert next to
+				const o = MutationDiff.#position_diff(op, ORIGINAL).original;
+				if (node.contains(o.parent))
+					throw Error("MutationDiff: original parent is inside node; can't revert node position");
+				group = {nodes: [node], parent: o.parent};
+				if (o.next === null || o.next?.parentNode === o.parent)
+					group.next = o.next;
+				else if (o.prev === null || o.prev?.parentNode === o.parent)
+					group.prev = o.prev;
+				else throw Error("MutationDiff: original siblings unknown or moved; can't revert node position");
+			}
+		}
+		const restore = filter & SELECTION ? MutationDiff.#preserve_selection(group ? [group] : [], node) : null;
+		this.#batch(() => {
+			if (props)
+				props.revert(node, custom_set, this, custom_get, MutationDiff.#props_filter(filter), this.properties);
+			if (group)
+				MutationDiff.patch_grouped_children([group], this.children.bind(this));
+		});
+		restore?.();
+	}
+	/** Convert a filter to a predicate for `PropertyMutations.revert`
+	 * @returns {function | undefined} undefined if all properties are included
+	 */
+	static #props_filter(filter){
+		if ((filter & PROPERTY) === PROPERTY)
+			return;
+		return (mode, key) => !!(filter & (mode === "custom" ? CUSTOM : key === null ? DATA : ATTRIBUTE));
+	}
+
+	/** Find tracked nodes that are inside `root` in either the original or mutated DOM
+	 * @param {Node} root the root to search for mutations under
+	 * @param {boolean} reverting if true, the mutated position also includes nodes that will be
+	 *  inside `root` once it is reverted; e.g. a node inserted into a node originally inside root.
+	 *  If false, the original position includes nodes whose original parent is now inside root,
+	 *  since the current DOM of root will become the original when committed
+	 * @returns {{props: Node[], original: Set<MutatedNode>, mutated: Set<MutatedNode>}} nodes with
+	 *  property changes; and node position changes whose original or mutated position is inside
+	 *  root (a node can be in both)
+	 * @private
+	 */
+	#scope(root, reverting){
+		const props = [];
+		for (const node of this.props.keys()){
+			// root's own properties are not considered inside, same as `mutated()` and `range()`
+			if (node !== root && (MutationDiff.#contains(root, node) || this.#original_contains(root, node)))
+				props.push(node);
+		}
+		const original = new Set();
+		const mutated = new Set();
+		for (const op of this.tree.mutations()){
+			const original_parent = op.original?.parent;
+			if (original_parent && (this.#original_contains(root, original_parent) || !reverting && MutationDiff.#contains(root, original_parent)))
+				original.add(op);
+			const parent = op.node.parentNode;
+			if (parent && (MutationDiff.#contains(root, parent) || reverting && this.#original_contains(root, parent)))
+				mutated.add(op);
+		}
+		return {props, original, mutated};
+	}
+	/** Check if `node` was a descendant of `root` in the original DOM (or is `root` itself). Fixed
+	 * nodes are in their original parent, so we only need to follow the original parent for
+	 * floating nodes. Shadow roots are followed to their host
+	 * @private
+	 */
+	#original_contains(root, node){
+		while (node){
+			if (node === root)
+				return true;
+			const op = this.tree.get(node);
+			node = op ? op.original?.parent : node.parentNode ?? node.host;
+		}
+		return false;
 	}
 
 	/** Clear the internal log of mutations, effectively "committing" the current DOM. You may also
@@ -701,10 +2401,36 @@ class MutationDiff{
 	 * After clearing/reverting, these disconnected trees do not matter anymore. See the MDN documetation for 
 	 * [MutationObserver.observe()](https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver/observe)
 	 * for details.
+	 * @param {Node} [root] If provided, only mutations that are inside `root`, either in the original or mutated
+	 *  DOM, are cleared; mutations outside of `root` will continue to be tracked. A node that was moved out of
+	 *  `root` will be treated as newly inserted at its current position, while a node moved into `root` will
+	 *  be treated as removed from its original position. The DOM should be synchronized beforehand (see
+	 *  {@link MutationDiff#synchronize|synchronize}).
+	 *
+	 * The current values of registered properties (see {@link MutationDiff#define_property|define_property})
+	 * become their original values, so a change made afterwards is detected by the next check.
 	 */
-	clear(){
-		this.props.clear();
-		this.tree.clear();
+	clear(root){
+		if (root){
+			const scope = this.#scope(root, false);
+			for (const node of scope.props){
+				this.#remember_current(node);
+				this.#forget_props(node);
+			}
+			this.tree.commit(scope.original, scope.mutated);
+		}
+		else{
+			// current values are the original from now on, rather than the next values checked
+			for (const ref of this.#known_nodes){
+				const node = ref.deref();
+				if (node)
+					this.#remember_current(node);
+			}
+			this.props.clear();
+			this.#dirty = 0;
+			this.tree.clear();
+		}
+		this.#notify();
 	}
 
 	/** For memory optimization: Returns a value indicating the size of internal storage for
@@ -721,16 +2447,505 @@ class MutationDiff{
 	 * [MutationObserver.takeRecords()](https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver/takeRecords)
 	 * has been called, for example. This allows us to release some cached information about
 	 * data/attributes/properties. This also can resolves untracked add mutations, which allows DOM
-	 * trees disconnected from the root to be reverted correctly.
+	 * trees disconnected from the root to be reverted correctly. Any node that had a mutation has its
+	 * registered properties checked, see {@link MutationDiff#check_properties|check_properties}.
 	 */
 	synchronize(){
+		if (this.properties.size){
+			const nodes = new Set(this.props.keys());
+			for (const op of this.tree.mutations())
+				nodes.add(op.node);
+			for (const node of nodes)
+				this.check_properties(node);
+		}
+		this.#synchronize();
+	}
+	/** Synchronize this object and its checkpoints; checkpoints are reported property changes by us,
+	 * so don't check them again
+	 */
+	#synchronize(){
 		for (let [node,props] of this.props){
 			if (!props.synchronize())
 				this.props.delete(node);
 		}
 		this.tree.synchronize();
+		for (const c of this.checkpoints)
+			c.#synchronize();
+		this.#notify();
+	}
+
+	/** Create a checkpoint (savepoint) for the current DOM. The checkpoint is itself a `MutationDiff`, which is
+	 * reported all subsequent mutations. So you can use it to query what has changed since the checkpoint,
+	 * e.g. with {@link MutationDiff#mutated|mutated} or {@link MutationDiff#range|range}, while this object
+	 * continues to give the changes since the original DOM. Don't report mutations to, revert, or clear the
+	 * checkpoint directly; use {@link MutationDiff#revert_to|revert_to} instead. Pending records of any
+	 * {@link MutationDiffObserver} reporting to this object are flushed first, so earlier mutations aren't
+	 * charged to the checkpoint.
+	 * @returns {MutationDiff} a handle for the checkpoint
+	 */
+	checkpoint(){
+		for (const o of this.observers)
+			o.flush(false);
+		const c = new MutationDiff();
+		c.properties = this.properties;
+		this.checkpoints.push(c);
+		return c;
+	}
+	/** Stop tracking changes for a checkpoint
+	 * @param {MutationDiff} handle checkpoint returned by {@link MutationDiff#checkpoint|checkpoint}
+	 */
+	release(handle){
+		const idx = this.checkpoints.indexOf(handle);
+		if (idx !== -1)
+			this.checkpoints.splice(idx, 1);
+	}
+	/** Get the diff since a checkpoint was created. This is the same as calling
+	 * {@link MutationDiff#diff|diff} on the checkpoint handle.
+	 * @param {MutationDiff} handle checkpoint returned by {@link MutationDiff#checkpoint|checkpoint}
+	 * @param {number} [filter={@link MutationDiffFlags.ALL|ALL}] see {@link MutationDiff#diff|diff}
+	 * @param {MutationDiff~customGetCbk} [custom_get] see {@link MutationDiff#diff|diff}
+	 * @returns {Map<Node, MutationDiff~Diff>}
+	 */
+	diff_since(handle, filter=ALL, custom_get){
+		this.#checkpoint_index(handle);
+		return handle.diff(filter, custom_get);
+	}
+	/** Revert the DOM to how it was when a checkpoint was created. Checkpoints newer than `handle` are
+	 * released, while `handle` remains active. The reverted changes are reported to this object and any
+	 * older checkpoints, so they continue tracking changes from their own starting point. As with
+	 * {@link MutationDiff#revert|revert}, `MutationRecord`s the revert generates should be discarded.
+	 * @param {MutationDiff} handle checkpoint returned by {@link MutationDiff#checkpoint|checkpoint}
+	 * @param {MutationDiff~customSetCbk} [custom_set] A callback to set the value for custom properties;
+	 *  if not provided, these properties are not reverted
+	 * @param {MutationDiff~customGetCbk} [custom_get] A callback to fetch the current value of custom
+	 *  properties before they are reverted; if not provided, older checkpoints that have not yet seen the
+	 *  property will not track it
+	 * @throws If `handle` is not an active checkpoint
+	 */
+	revert_to(handle, custom_set, custom_get){
+		this.#unobserved(() => this.#revert_to(handle, custom_set, custom_get));
+	}
+	/** Implements {@link MutationDiff#revert_to|revert_to} */
+	#revert_to(handle, custom_set, custom_get){
+		const idx = this.#checkpoint_index(handle);
+		// newer checkpoints are lost, and handle should not see its own reversion
+		this.checkpoints.length = idx;
+		this.#batch(() => {
+			for (const [node,props] of handle.props)
+				props.revert(node, custom_set, this, custom_get, undefined, this.properties);
+			MutationDiff.patch_grouped_children(handle.diff_grouped_children(ORIGINAL, true), this.children.bind(this));
+		});
+		handle.clear();
+		this.checkpoints.push(handle);
+	}
+	/** Get index of a checkpoint, throwing an error if it is not active
+	 * @private
+	 */
+	#checkpoint_index(handle){
+		const idx = this.checkpoints.indexOf(handle);
+		if (idx === -1)
+			throw Error("MutationDiff: not an active checkpoint");
+		return idx;
+	}
+}
+
+/** Undo/redo history built on top of {@link MutationDiff#checkpoint|checkpoints}. Mutations are grouped
+ * into transactions: each time {@link MutationHistory#capture|capture} is called, pending mutations are
+ * flushed and added to the current transaction. The transaction is sealed once no new mutations have been
+ * captured for `coalesce` milliseconds, so that rapid changes (like typing) are undone as a single unit.
+ * 
+ * A checkpoint is kept for the start of each transaction, which means every transaction's mutations are
+ * reported to each of those checkpoints. Use `limit` to bound the memory and computation this requires.
+ * Fully reverting the tracker directly will release its checkpoints; the history detects this and is
+ * cleared, the same as {@link MutationHistory#clear|clear}. Clearing the tracker does not affect the history.
+ */
+class MutationHistory{
+	/** Handle for the debounce timer */
+	#timer = null;
+	/** Event listeners for attached hosts, {Node => {beforeinput, input}} */
+	#hosts = new Map();
+	/** Checkpoints for the start of each transaction, ordered oldest first. The last is the current,
+	 * unsealed transaction.
+	 * @type {MutationDiff[]}
+	 */
+	#undo_stack;
+	/** Changes needed to redo each undone transaction, with the most recently undone last
+	 * @type {{groups: MutationDiff~DiffPosition[], props: Map<Node, MutationDiff~Diff>}[]}
+	 */
+	#redo_stack = [];
+	/** Construct a new history
+	 * @param {MutationDiffObserver} observer observer whose {@link MutationDiff} will be used to
+	 *  track the transactions
+	 * @param {Object} [options]
+	 * @param {number} [options.coalesce=500] milliseconds without any captured mutations before the
+	 *  current transaction is sealed; if zero, each capture is its own transaction
+	 * @param {number} [options.limit=100] max number of transactions that can be undone
+	 * @param {MutationDiff~customGetCbk} [options.custom_get] callback to fetch custom property values;
+	 *  needed to redo custom property changes
+	 * @param {MutationDiff~customSetCbk} [options.custom_set] callback to set custom property values;
+	 *  if not provided, custom properties are not undone or redone
+	 */
+	constructor(observer, {coalesce=500, limit=100, custom_get, custom_set}={}){
+		/** The observer for the tracked DOM
+		 * @type {MutationDiffObserver}
+		 */
+		this.observer = observer;
+		/** Milliseconds without captured mutations before a transaction is sealed
+		 * @type {number}
+		 */
+		this.coalesce = coalesce;
+		/** Max number of transactions that can be undone
+		 * @type {number}
+		 */
+		this.limit = limit;
+		/** Callback to fetch custom property values
+		 * @type {?MutationDiff~customGetCbk}
+		 */
+		this.custom_get = custom_get;
+		/** Callback to set custom property values
+		 * @type {?MutationDiff~customSetCbk}
+		 */
+		this.custom_set = custom_set;
+		this.#undo_stack = [observer.tracker.checkpoint()];
+	}
+	/** The {@link MutationDiff} tracking the DOM
+	 * @type {MutationDiff}
+	 */
+	get tracker(){ return this.observer.tracker; }
+	/** Whether there may be a transaction to undo. This does not flush pending mutations, so it
+	 * can be false when there are uncaptured changes
+	 * @type {boolean}
+	 */
+	get can_undo(){
+		this.#check();
+		return this.#undo_stack.length > 1 || !!this.#current?.mutated();
+	}
+	/** Whether there is a transaction to redo
+	 * @type {boolean}
+	 */
+	get can_redo(){
+		this.#check();
+		return !!this.#redo_stack.length;
+	}
+	/** Checkpoint for the current transaction */
+	get #current(){ return this.#undo_stack[this.#undo_stack.length-1]; }
+	/** Clear the history if the tracker has released our checkpoints, e.g. after it was fully reverted.
+	 * Checkpoints are released newest first, so it's enough to check the current one.
+	 */
+	#check(){
+		if (this.#undo_stack.length && !this.tracker.checkpoints.includes(this.#current))
+			this.clear();
+	}
+
+	/** Flush pending mutations and add them to the current transaction. Any new mutations will
+	 * clear the redo history. Call this after each user edit, e.g. in an `input` event handler.
+	 */
+	capture(){
+		this.#check();
+		this.observer.flush();
+		if (!this.#current.mutated())
+			return;
+		this.#redo_stack.length = 0;
+		clearTimeout(this.#timer);
+		if (this.coalesce > 0)
+			this.#timer = setTimeout(() => this.seal(), this.coalesce);
+		else this.seal();
+	}
+	/** Seal the current transaction immediately, so that subsequent mutations start a new one
+	 * @returns {boolean} false if the current transaction was empty
+	 */
+	seal(){
+		this.#check();
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		this.observer.flush();
+		if (!this.#current.mutated())
+			return false;
+		this.#redo_stack.length = 0;
+		this.#push();
+		return true;
+	}
+	/** Undo the last transaction. Pending mutations are captured and sealed first.
+	 * @returns {boolean} false if there was nothing to undo
+	 */
+	undo(){
+		this.seal();
+		if (this.#undo_stack.length < 2)
+			return false;
+		const tracker = this.tracker;
+		tracker.release(this.#undo_stack.pop());
+		const target = this.#current;
+		// save what is needed to redo before the target's changes are lost
+		this.#redo_stack.push({
+			groups: Array.from(target.diff_grouped_children(MUTATED, true)),
+			props: target.diff(PROPERTY | MUTATED, this.custom_get)
+		});
+		tracker.revert_to(target, this.custom_set, this.custom_get);
+		return true;
+	}
+	/** Redo the last undone transaction
+	 * @returns {boolean} false if there was nothing to redo, or new mutations have occurred since
+	 *  the last undo
+	 */
+	redo(){
+		this.seal();
+		const entry = this.#redo_stack.pop();
+		if (!entry)
+			return false;
+		// our own modifications are reported directly
+		this.observer.without_recording(() => this.#apply(entry));
+		this.#push();
+		return true;
+	}
+	/** Reapply an undone transaction, reporting the changes to the tracker */
+	#apply(entry){
+		const tracker = this.tracker;
+		MutationDiff.patch_grouped_children(entry.groups, tracker.children.bind(tracker));
+		for (const [node, d] of entry.props){
+			if (d.data){
+				const old = node.data;
+				node.data = d.data.mutated;
+				tracker.data(node, old);
+			}
+			if (d.attribute){
+				for (const key in d.attribute){
+					const attr = d.attribute[key];
+					const ns = attr.namespace ?? null;
+					const name = ns ? attr.localName : key;
+					const old = PropertyMutations.get_attribute(node, name, ns);
+					PropertyMutations.set_attribute(node, name, ns, attr.mutated, attr.prefix);
+					tracker.attribute(node, name, old, ns);
+				}
+			}
+			if (d.custom){
+				for (const [key, v] of d.custom){
+					if (!("mutated" in v))
+						continue;
+					const prop = tracker.properties.get(key);
+					let old;
+					if (prop?.set){
+						old = prop.get(node);
+						prop.set(node, v.mutated);
+					}
+					else if (this.custom_set){
+						// a mutated value was only diffed if there is a getter to read it with
+						old = prop ? prop.get(node) : this.custom_get(node, key);
+						this.custom_set(node, key, v.mutated);
+					}
+					else continue;
+					tracker.custom(node, key, v.mutated, old);
+				}
+			}
+		}
+	}
+	/** Discard the history, leaving the DOM as-is. The history can continue to be used afterwards. */
+	clear(){
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		for (const c of this.#undo_stack)
+			this.tracker.release(c);
+		this.#undo_stack = [this.tracker.checkpoint()];
+		this.#redo_stack.length = 0;
+	}
+	/** Capture mutations on `input` events, and handle `historyUndo` and `historyRedo` input types
+	 * from `beforeinput` events for a `contenteditable` host. The browser's own undo is prevented.
+	 * @param {Node} host the element to listen to events on
+	 */
+	attach(host){
+		if (this.#hosts.has(host))
+			return;
+		const listeners = {
+			beforeinput: (e) => {
+				switch (e.inputType){
+					case "historyUndo":
+						e.preventDefault();
+						this.undo();
+						break;
+					case "historyRedo":
+						e.preventDefault();
+						this.redo();
+						break;
+				}
+			},
+			input: () => this.capture()
+		};
+		for (const type in listeners)
+			host.addEventListener(type, listeners[type]);
+		this.#hosts.set(host, listeners);
+	}
+	/** Remove event listeners added by {@link MutationHistory#attach|attach}
+	 * @param {Node} host the element that was attached
+	 */
+	detach(host){
+		const listeners = this.#hosts.get(host);
+		if (!listeners)
+			return;
+		for (const type in listeners)
+			host.removeEventListener(type, listeners[type]);
+		this.#hosts.delete(host);
+	}
+	/** Detach all hosts and release the history's checkpoints. Make sure to call this when you are done
+	 * with the history, otherwise every mutation will continue to be reported to its checkpoints.
+	 */
+	stop(){
+		for (const host of Array.from(this.#hosts.keys()))
+			this.detach(host);
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		for (const c of this.#undo_stack)
+			this.tracker.release(c);
+		this.#undo_stack.length = 0;
+		this.#redo_stack.length = 0;
+	}
+	/** Start a new transaction, dropping the oldest if we've exceeded the limit */
+	#push(){
+		this.#undo_stack.push(this.tracker.checkpoint());
+		if (this.#undo_stack.length > this.limit+1)
+			this.tracker.release(this.#undo_stack.shift());
+	}
+}
+
+/** An edit the browser made to a {@link ContentEditableGuard}'s host, which has since been reverted
+ * @typedef {Object} ContentEditableGuard~Intent
+ * @prop {string} type The `inputType` of the event, e.g. `"insertText"` or `"deleteContentBackward"`
+ * @prop {?string} data The `data` of the event, if any
+ * @prop {Event} event The `input` or `compositionend` event that triggered the revert
+ * @prop {MutationDiff~TextRange} range The extent of the edit in the reverted DOM, as given by
+ *  {@link MutationDiff#range|range} with {@link MutationDiffFlags.TEXT_SPLICES|TEXT_SPLICES}. Its
+ *  `start_offset` and `end_offset` are character offsets into the original (reverted) text. A
+ *  collapsed range indicates the edit only inserted content. The boundaries are only meaningful
+ *  against the reverted DOM, e.g. for `range.range.toRange()`; if the DOM is modified afterwards,
+ *  they no longer describe the edit.
+ * @prop {string} text The text the browser had placed within `range`. The edit is a replacement of the
+ *  range's reverted content with this text. A single range covers all of the edit's changes, so
+ *  unchanged content between separate changes is included in both, e.g. inserting `"X"` into
+ *  `"hello"` and appending a `<br>` gives the text `"Xo"`
+ * @prop {Node[]} nodes The topmost nodes the browser inserted, in document order. These have been
+ *  removed by the revert, and can be inspected or reused
+ * @prop {Map<Node, MutationDiff~Diff>} diff The full diff of the edit, as given by
+ *  {@link MutationDiff#diff|diff} with {@link MutationDiffFlags.TEXT_SPLICES|TEXT_SPLICES}
+ */
+
+/** For use with {@link ContentEditableGuard}
+ * @callback ContentEditableGuard~intentCbk
+ * @param {ContentEditableGuard~Intent} intent the edit the browser made, which has been reverted
+ */
+
+/** Keeps the browser from editing a `contenteditable` element. After each `input` event, the
+ * browser's changes are reverted, and handed to a callback as an intended edit; the application can
+ * then apply the edit to its own model and re-render. Edits made during an IME composition are left
+ * in place until the composition ends, since reverting would interrupt it.
+ *
+ * The guard creates its own {@link MutationDiff} and {@link MutationDiffObserver} for the host.
+ * When the application modifies the host itself, e.g. to render the edit, call
+ * {@link ContentEditableGuard#commit|commit} afterwards; otherwise those changes are reverted along
+ * with the browser's next edit.
+ */
+class ContentEditableGuard{
+	/** Construct a new guard and begin guarding
+	 * @param {Element} host the `contenteditable` element to guard
+	 * @param {ContentEditableGuard~intentCbk} callback called with each reverted edit
+	 * @param {Object} [options]
+	 * @param {boolean} [options.selection=true] whether to preserve the selection and focus when
+	 *  reverting; see {@link MutationDiff#revert|revert}
+	 * @param {MutationDiff~customGetCbk} [options.custom_get] callback to fetch custom property values
+	 *  for the diff
+	 * @param {MutationDiff~customSetCbk} [options.custom_set] callback to set custom property values
+	 *  when reverting
+	 */
+	constructor(host, callback, {selection=true, custom_get, custom_set}={}){
+		/** The element being guarded
+		 * @type {Element}
+		 */
+		this.host = host;
+		/** Called with each reverted edit
+		 * @type {ContentEditableGuard~intentCbk}
+		 */
+		this.callback = callback;
+		/** Whether the selection and focus are preserved when reverting
+		 * @type {boolean}
+		 */
+		this.selection = selection;
+		/** Callback to fetch custom property values
+		 * @type {?MutationDiff~customGetCbk}
+		 */
+		this.custom_get = custom_get;
+		/** Callback to set custom property values
+		 * @type {?MutationDiff~customSetCbk}
+		 */
+		this.custom_set = custom_set;
+		/** Tracks the browser's edits to {@link ContentEditableGuard#host|host}
+		 * @type {MutationDiff}
+		 */
+		this.tracker = new MutationDiff();
+		/** Reports mutations under {@link ContentEditableGuard#host|host} to {@link ContentEditableGuard#tracker|tracker}
+		 * @type {MutationDiffObserver}
+		 */
+		this.observer = new MutationDiffObserver(this.tracker, host);
+		host.addEventListener("input", this.#input);
+		host.addEventListener("compositionend", this.#input);
+	}
+	/** Keep the host's current DOM as the new original, after the application has modified it */
+	commit(){
+		this.observer.flush(false);
+		this.tracker.clear();
+	}
+	/** Stop guarding. Make sure to call this when you are done, otherwise the object will not get
+	 * garbage collected!
+	 */
+	stop(){
+		this.host.removeEventListener("input", this.#input);
+		this.host.removeEventListener("compositionend", this.#input);
+		this.observer.stop();
+		this.tracker.clear();
+	}
+	/** Revert the browser's edit and report it */
+	#input = (e) => {
+		// reverting would interrupt the composition; wait for it to end
+		if (e.isComposing && e.type === "input")
+			return;
+		this.observer.flush();
+		const tracker = this.tracker;
+		if (!tracker.mutated())
+			return;
+		const diff = tracker.diff(ALL | TEXT_SPLICES, this.custom_get);
+		const range = tracker.range(this.host, TEXT_SPLICES);
+		const intent = {
+			type: e.inputType ?? (e.type === "compositionend" ? "insertCompositionText" : ""),
+			data: e.data ?? null,
+			event: e,
+			range,
+			text: range ? ContentEditableGuard.#text(range) : "",
+			nodes: ContentEditableGuard.#inserted(tracker, this.host),
+			diff
+		};
+		tracker.revert({custom_set: this.custom_set, selection: this.selection});
+		// offsets into the mutated text are now offsets into the original text
+		if (range && range.end_offset !== null){
+			for (const s of diff.get(range.range.end.node).data.splices)
+				range.end_offset += s.removed.length - s.added.length;
+		}
+		this.callback(intent);
+	};
+	/** Current text inside a {@link MutationDiff~TextRange} */
+	static #text(range){
+		const r = range.range.toRange();
+		if (range.start_offset !== null)
+			r.setStart(range.range.start.node, range.start_offset);
+		if (range.end_offset !== null)
+			r.setEnd(range.range.end.node, range.end_offset);
+		return r.toString();
+	}
+	/** Topmost nodes newly inserted under host, in document order */
+	static #inserted(tracker, host){
+		const nodes = [];
+		for (const node of tracker.diff(MUTATED | CHILDREN | INSERTED | COLLAPSED).keys()){
+			if (host.contains(node))
+				nodes.push(node);
+		}
+		return nodes.sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
 	}
 }
 
 const Flags_readonly = Object.freeze(Flags);
-export {Flags_readonly as MutationDiffFlags, MutationDiff, MutationDiffObserver};
\ No newline at end of file
+export {Flags_readonly as MutationDiffFlags, MutationDiff, MutationDiffObserver, MutationHistory, ContentEditableGuard};
\ No newline at end of file
@@ -0,0 +1,80 @@
+/** Save a selection endpoint, relative to nodes that won't be moved
+ * @param {Node} node selection endpoint's container
+ * @param {number} offset selection endpoint's offset
+ * @param {Set<Node>} moved nodes that will be moved or removed
+ * @returns {{node: Node, offset: number} | {node: Node, ref: ?Node}} for text, the offset into the
+ *  text; otherwise, the first child after the endpoint that won't be moved, null for the end
+ */
+function point(node, offset, moved){
+	if (node instanceof CharacterData)
+		return {node, offset};
+	let ref = node.childNodes[offset] ?? null;
+	while (ref && moved.has(ref))
+		ref = ref.nextSibling;
+	return {node, ref};
+}
+
+/** Resolve a saved endpoint back to a container and offset
+ * @returns {?{node: Node, offset: number}} null if the endpoint can't be restored
+ */
+function resolve(p){
+	if (!p.node.isConnected)
+		return null;
+	if ("offset" in p)
+		return {node: p.node, offset: Math.min(p.offset, p.node.length)};
+	if (!p.ref || p.ref.parentNode !== p.node)
+		return {node: p.node, offset: p.node.childNodes.length};
+	let offset = 0;
+	for (let s = p.ref; s = s.previousSibling;)
+		offset++;
+	return {node: p.node, offset};
+}
+
+/** Save an endpoint, along with a fallback for when it is removed from the document */
+function save(node, offset, moved){
+	// topmost ancestor that is moved; if it gets removed, we fall back to where it was
+	let top = null;
+	for (let p = node; p; p = p.parentNode){
+		if (moved.has(p))
+			top = p;
+	}
+	let fallback = null;
+	if (top?.parentNode){
+		let i = 0;
+		for (let s = top; s = s.previousSibling;)
+			i++;
+		fallback = point(top.parentNode, i, moved);
+	}
+	return {pos: point(node, offset, moved), fallback};
+}
+
+/** Save the document's selection and focused element before nodes are moved, reverted, or removed,
+ * so they can be restored afterwards. Selection endpoints inside text are kept at the same offset;
+ * otherwise they are kept next to a sibling that doesn't move. If an endpoint's node is removed from
+ * the document, it is placed where the removed node was.
+ * @param {Document} doc document whose selection and focus should be preserved
+ * @param {Iterable<Node>} moved nodes that will be moved or removed
+ * @returns {function} call this after the DOM has been modified to restore the selection and focus
+ * @private
+ */
+export default function preserve_selection(doc, moved){
+	moved = new Set(moved);
+	const focused = doc.activeElement;
+	const selection = doc.getSelection();
+	let anchor = null, focus = null;
+	if (selection?.rangeCount){
+		anchor = save(selection.anchorNode, selection.anchorOffset, moved);
+		focus = save(selection.focusNode, selection.focusOffset, moved);
+	}
+	return () => {
+		// focus first, since focusing can move the selection
+		if (focused && focused !== doc.activeElement && focused.isConnected)
+			focused.focus({preventScroll: true});
+		if (!anchor)
+			return;
+		const a = resolve(anchor.pos) || anchor.fallback && resolve(anchor.fallback);
+		const f = resolve(focus.pos) || focus.fallback && resolve(focus.fallback);
+		if (a && f)
+			selection.setBaseAndExtent(a.node, a.offset, f.node, f.offset);
+	};
+}
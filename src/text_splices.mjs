@@ -0,0 +1,99 @@
+/* Edit distance at which we stop searching for a minimal diff; the changed region is given as a
+	single splice instead. The search keeps the diagonals -D..D of each step for backtracking, which
+	is O(D^2) memory, so this keeps it bounded
+*/
+const MAX_COST = 1024;
+
+/** Get character level splices that convert `original` to `mutated`, using Myers' diff algorithm.
+ * Splices are ordered and non-overlapping. Applying each splice in order to `original` gives
+ * `mutated`; so the `offset` is relative to the text with prior splices applied, which is also
+ * the offset into `mutated`.
+ * @param {string} original
+ * @param {string} mutated
+ * @returns {{offset: number, removed: string, added: string}[]}
+ * @private
+ */
+export default function text_splices(original, mutated){
+	// common prefix/suffix
+	let start = 0;
+	while (start < original.length && start < mutated.length && original[start] === mutated[start])
+		start++;
+	let ae = original.length, be = mutated.length;
+	while (ae > start && be > start && original[ae-1] === mutated[be-1]){
+		ae--;
+		be--;
+	}
+	const a = original.slice(start, ae);
+	const b = mutated.slice(start, be);
+	if (!a.length && !b.length)
+		return [];
+	const n = a.length, m = b.length;
+	const max = Math.min(n+m, MAX_COST);
+	// v[offset+k] is the furthest x reached on diagonal k = x-y
+	const offset = max+1;
+	const v = new Int32Array(2*max+3);
+	// trace[d][d+k] is v[offset+k] before step d; only diagonals -d..d are needed to backtrack
+	const trace = [];
+	search: {
+		for (let d=0; d<=max; d++){
+			trace.push(v.slice(offset-d, offset+d+1));
+			for (let k=-d; k<=d; k+=2){
+				let x;
+				if (k === -d || (k !== d && v[offset+k-1] < v[offset+k+1]))
+					x = v[offset+k+1];
+				else x = v[offset+k-1]+1;
+				let y = x-k;
+				while (x < n && y < m && a[x] === b[y]){
+					x++;
+					y++;
+				}
+				v[offset+k] = x;
+				if (x >= n && y >= m)
+					break search;
+			}
+		}
+		// too costly
+		return [{offset: start, removed: a, added: b}];
+	}
+	// backtrack to get the edits; true for a removal from a, false for an addition from b
+	const edits = [];
+	let x = n, y = m;
+	for (let d=trace.length-1; d>0; d--){
+		const t = trace[d];
+		const k = x-y;
+		const pk = k === -d || (k !== d && t[d+k-1] < t[d+k+1]) ? k+1 : k-1;
+		const px = t[d+pk];
+		const py = px-pk;
+		while (x > px && y > py){
+			x--;
+			y--;
+			edits.push(null);
+		}
+		edits.push(x === px ? {added: b[py]} : {removed: a[px]});
+		x = px;
+		y = py;
+	}
+	// merge adjacent edits into splices
+	const splices = [];
+	let splice = null, pos = start + x;
+	for (let i=edits.length-1; i>=0; i--){
+		const e = edits[i];
+		if (!e){
+			if (splice){
+				pos += splice.added.length;
+				splices.push(splice);
+				splice = null;
+			}
+			pos++;
+			continue;
+		}
+		if (!splice)
+			splice = {offset: pos, removed: "", added: ""};
+		if ("added" in e)
+			splice.added += e.added;
+		else splice.removed += e.removed;
+	}
+	if (splice)
+		splices.push(splice);
+	return splices;
+}
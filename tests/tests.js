@@ -1,4 +1,4 @@
-import { MutationDiff } from "../src/mutationdiff.mjs";
+import { MutationDiff, MutationDiffFlags, MutationDiffObserver, MutationHistory, ContentEditableGuard } from "../src/mutationdiff.mjs";
 import { BoundaryFlags, BoundaryRange } from "node-boundary";
 
 var output_el, toggle_el;
@@ -9,6 +9,11 @@ function force_redraw(){
 		setTimeout(resolve, 0);
 	});
 }
+function sleep(ms){
+	return new Promise((resolve) => {
+		setTimeout(resolve, ms);
+	});
+}
 
 // Helpers for DOM creation
 let uid = 0;
@@ -30,13 +35,20 @@ function text(str){
 }
 
 const allowed_attrs = ["class"];
+// for namespaced attributes, keyed as "namespace:localName"
+const test_ns = "urn:mutationdiff-test";
+// for patching the registered "tag" property
+const custom_set = (node, key, value) => node[key] = value;
 
 /** Create a cache of a DOM tree */
 class CachedDOM{
-	constructor(node){
+	/** Cache `node`; if `children` and `attrs` are given, those are used instead of reading the DOM */
+	constructor(node, children, attrs){
 		this.node = node;
-		this.children = [];
-		this.attrs = {};
+		this.children = children || [];
+		this.attrs = attrs || {};
+		if (children)
+			return;
 		if (node instanceof CharacterData){
 			this.attrs.data = node.data;
 			if (node.childNodes.length)
@@ -46,6 +58,7 @@ class CachedDOM{
 			if (node.getAttribute?.constructor === Function){
 				for (let k of allowed_attrs)
 					this.attrs[k] = node.getAttribute(k);
+				this.attrs.tag = node.tag ?? null;
 			}
 			for (let c of node.childNodes)
 				this.children.push(new CachedDOM(c));
@@ -55,6 +68,7 @@ class CachedDOM{
 	 * @param {CachedDOM} other other DOM to compare against
 	 * @param {Boolean} forward whether to iterate childNodes forward or backward;
 	 * 	can be used to get left/right bounds of differences
+	 * @param {Boolean} attrs whether to compare attributes, or just node positions
 	 * @returns false, if there are no differences; otherwise a stack of ancestors leading
 	 * 	to the differing node, each entry of the form:
 	 * 	{
@@ -64,20 +78,20 @@ class CachedDOM{
 	 * 		details: details about why they differ (only for final entry in stack)
 	 * 	}
 	 */
-	diff(other, forward=true){
+	diff(other, forward=true, attrs=true){
 		let stack = [{a: this, b: other}];
-		let msg = this.#diff_rec(other, forward, stack);
+		let msg = this.#diff_rec(other, forward, attrs, stack);
 		if (!msg)
 			return false;
 		stack[stack.length-1].details = msg;
 		return stack;
 	}
-	#diff_rec(other, forward, stack){
+	#diff_rec(other, forward, attrs, stack){
 		if (this.node !== other.node)
 			return "nodes are different";
-		if (Object.keys(this.attrs).length != Object.keys(other.attrs).length)
+		if (attrs && Object.keys(this.attrs).length != Object.keys(other.attrs).length)
 			return "different number of attributes";
-		for (let k in this.attrs){
+		for (let k in attrs ? this.attrs : {}){
 			if (!(k in other.attrs))
 				return `missing attribute ${k}`;
 			let tv = this.attrs[k], ov = other.attrs[k];
@@ -97,7 +111,7 @@ class CachedDOM{
 				return "a is missing a child node";
 			if (!b)
 				return "b is missing a child node";
-			let msg = a.#diff_rec(b, forward, stack);
+			let msg = a.#diff_rec(b, forward, attrs, stack);
 			if (msg)
 				return msg;
 			stack.pop();
@@ -105,6 +119,37 @@ class CachedDOM{
 			bi += delta;
 		}
 	}
+	/** Find the cached DOM for a descendant node, or undefined if not found */
+	find(node){
+		if (this.node === node)
+			return this;
+		for (const child of this.children){
+			const found = child.find(node);
+			if (found)
+				return found;
+		}
+	}
+	/** Create a copy, where the cached DOM for `scope` is replaced by `committed`, and any nodes
+	 * 	inside `committed` are removed from the rest of the copy
+	 */
+	rebase(scope, committed, nodes=null){
+		if (!nodes){
+			nodes = new Set();
+			const collect = (c) => {
+				nodes.add(c.node);
+				c.children.forEach(collect);
+			};
+			committed.children.forEach(collect);
+		}
+		if (this.node === scope)
+			return new CachedDOM(this.node, committed.children, this.attrs);
+		const children = [];
+		for (const child of this.children){
+			if (!nodes.has(child.node))
+				children.push(child.rebase(scope, committed, nodes));
+		}
+		return new CachedDOM(this.node, children, this.attrs);
+	}
 	pretty_print(tabs=0){
 		let str = "";
 		function add_tabs(){
@@ -145,6 +190,11 @@ class Tester{
 		this.dom_original = null;
 		this.tracker = new MutationDiff();
 		this.observer = new MutationObserver(this.record.bind(this, null));
+		// custom expando property, read and written by the tracker
+		this.tracker.define_property("tag", {
+			get: node => node.nodeType === Node.ELEMENT_NODE ? node.tag ?? null : undefined,
+			set: (node, value) => node.tag = value
+		});
 	}
 	record(records){
 		for (let r of records){
@@ -180,14 +230,18 @@ class Tester{
 	revert(synchronize){
 		if (synchronize)
 			this.tracker.synchronize();
+		this.snapshot();
+		this.tracker.revert();
+		this.dom_reverted = new CachedDOM(this.root);
+		this.verbose && console.log("stopped, reverted:\n", this.dom_reverted.pretty_print());
+	}
+	/** Save the mutated DOM and the tracker's results, for checking after reverting */
+	snapshot(){
 		this.dom_mutated = new CachedDOM(this.root);
 		this.verbose && console.log("stopping, mutated:\n", this.dom_mutated.pretty_print());
 		this.mutated = this.tracker.mutated(this.root);
 		this.range = this.tracker.range(this.root);
 		this.diff = this.tracker.diff();
-		this.tracker.revert();
-		this.dom_reverted = new CachedDOM(this.root);
-		this.verbose && console.log("stopped, reverted:\n", this.dom_reverted.pretty_print());
 	}
 	/** Try reverting and see if it works */
 	check_revert(name){
@@ -239,6 +293,393 @@ class Tester{
 	}
 }
 
+/* Opt-in stress config: besides the plain revert checked by Tester, checks the other features against
+	the same random mutations. Failures are prefixed with the name of the feature that was being checked.
+*/
+class FeatureTester extends Tester{
+	constructor(verbose=false){
+		super(verbose);
+		// last state given by change notifications
+		this.notified = false;
+		this.tracker.on_change(mutated => this.notified = mutated);
+	}
+	/** Run a check, naming the feature in any error it throws */
+	check(name, fn){
+		try{
+			return fn();
+		} catch(err){
+			err.message = `${name}: ${err.message}`;
+			throw err;
+		}
+	}
+	/** Create a checkpoint for the current DOM */
+	checkpoint(synchronize){
+		this.flush();
+		this.dom_checkpoint = new CachedDOM(this.root);
+		this.checkpoint_handle = this.tracker.checkpoint();
+		// diff up to the checkpoint, for composing with the diff since
+		if (synchronize){
+			this.tracker.synchronize();
+			this.diff_checkpoint = this.tracker.diff();
+		}
+		else this.diff_checkpoint = null;
+	}
+	/** Revert to the checkpoint, and check that it performed correctly */
+	revert_checkpoint(synchronize){
+		if (synchronize)
+			this.tracker.synchronize();
+		if (this.diff_checkpoint){
+			const composed = MutationDiff.compose(this.diff_checkpoint, this.tracker.diff_since(this.checkpoint_handle), this.tracker.properties);
+			// properties should match the full diff exactly
+			const props = (diff) => {
+				const out = {};
+				for (const [node, d] of diff){
+					if (d.data || d.attribute)
+						out[node.uid] = [d.data, d.attribute];
+				}
+				return out;
+			};
+			const same = (a, b) => a === b || (a && b && typeof a === "object" && typeof b === "object" &&
+				Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(k => same(a[k], b[k])));
+			if (!same(props(composed), props(this.tracker.diff()))){
+				console.error(composed);
+				throw Error("composed properties incorrect");
+			}
+			// patch to the original DOM and back, leaving the DOM unchanged for the checkpoint revert
+			const mutated = new CachedDOM(this.root);
+			MutationDiff.patch(composed, MutationDiffFlags.ORIGINAL, custom_set);
+			let rdiff = this.dom_original.diff(new CachedDOM(this.root));
+			if (rdiff){
+				console.error(rdiff);
+				throw Error("patching composed diff failed");
+			}
+			MutationDiff.patch(composed, MutationDiffFlags.MUTATED, custom_set);
+			rdiff = mutated.diff(new CachedDOM(this.root));
+			if (rdiff){
+				console.error(rdiff);
+				throw Error("patching composed diff back failed");
+			}
+		}
+		this.tracker.revert_to(this.checkpoint_handle);
+		const rdiff = this.dom_checkpoint.diff(new CachedDOM(this.root));
+		if (rdiff){
+			console.error(rdiff);
+			throw Error("checkpoint revert failed");
+		}
+		if (this.checkpoint_handle.mutated())
+			throw Error("checkpoint still mutated after revert");
+		this.tracker.release(this.checkpoint_handle);
+	}
+	/** Revert only mutations inside scope, and check that it performed correctly; scope should be
+	 * 	a node inside the original root
+	 */
+	revert_scoped(scope, synchronize, minimal){
+		const original = this.dom_original.find(scope);
+		// can't revert if scope has been moved inside one of its original descendants
+		for (let p = scope; p = p.parentNode;){
+			if (original.find(p))
+				return;
+		}
+		if (synchronize)
+			this.tracker.synchronize();
+		let notified = this.tracker.mutated(scope);
+		const off = this.tracker.on_change(mutated => notified = mutated, scope);
+		this.tracker.revert({root: scope, minimal});
+		off();
+		if (notified)
+			throw Error("scoped change notification incorrect");
+		// properties of scope itself are not reverted
+		const reverted = new CachedDOM(scope);
+		reverted.attrs = original.attrs;
+		const rdiff = original.diff(reverted);
+		if (rdiff){
+			console.error(rdiff);
+			throw Error("scoped revert failed");
+		}
+		if (this.tracker.mutated(scope))
+			throw Error("scope still mutated after scoped revert");
+	}
+	/** Clear only mutations inside scope, making its current DOM part of the original DOM; scope
+	 * 	should be a node inside the original root
+	 */
+	clear_scoped(scope, synchronize){
+		const original = this.dom_original.find(scope);
+		for (let p = scope; p = p.parentNode;){
+			if (original.find(p))
+				return;
+		}
+		if (synchronize)
+			this.tracker.synchronize();
+		const committed = new CachedDOM(scope);
+		this.tracker.clear(scope);
+		if (this.tracker.mutated(scope))
+			throw Error("scope still mutated after scoped clear");
+		this.dom_original = this.dom_original.rebase(scope, committed);
+	}
+	revert(synchronize, minimal, filtered){
+		if (synchronize)
+			this.tracker.synchronize();
+		// revert some of the changes first; the full revert checks the tracker was kept consistent
+		if (filtered)
+			this.check("partial revert", () => this.revert_partial());
+		this.check("on_change", () => {
+			if (this.notified !== this.tracker.mutated())
+				throw Error("change notification incorrect");
+		});
+		this.snapshot();
+		this.check("node queries", () => this.check_queries());
+		this.check("text splices", () => this.check_splices());
+		const serialized = JSON.stringify(MutationDiff.serialize(this.diff, this.root));
+		this.check("serialize", () => this.check_serialized(serialized, n => this.root.contains(n)));
+		// original paths need original siblings to be known
+		if (synchronize){
+			var serialized_original = JSON.stringify(MutationDiff.serialize(this.diff, this.root, MutationDiffFlags.ORIGINAL, "id"));
+			var mutated_html = this.root.outerHTML;
+			// revert a copy of the mutated DOM
+			var mutated_copy = this.root.cloneNode(true);
+			MutationDiff.patch(serialized, {root: mutated_copy, mode: MutationDiffFlags.ORIGINAL});
+		}
+		if (minimal){
+			const count = (groups) => {
+				let c = 0;
+				for (const g of groups)
+					if (g.parent) c += g.nodes.length;
+				return c;
+			};
+			var minimal_original = Array.from(this.tracker.diff_grouped_children(MutationDiffFlags.ORIGINAL, true, true));
+			if (count(minimal_original) > count(this.tracker.diff_grouped_children()))
+				throw Error("minimal groups moved more nodes");
+			var minimal_mutated = Array.from(this.tracker.diff_grouped_children(MutationDiffFlags.MUTATED, true, true));
+		}
+		this.check("selection", () => this.revert_selection(minimal));
+		this.check("on_change", () => {
+			if (this.notified)
+				throw Error("change notification after revert incorrect");
+		});
+		this.dom_reverted = new CachedDOM(this.root);
+		if (synchronize){
+			this.check("serialize", () => this.check_serialized(serialized_original, n => !!this.dom_original.find(n)));
+			// replay mutations on a copy of the original DOM
+			const copy = this.root.cloneNode(true);
+			MutationDiff.patch(serialized_original, {root: copy});
+			if (copy.outerHTML !== mutated_html){
+				console.error(mutated_html, copy.outerHTML);
+				throw Error("patching a copy failed");
+			}
+			if (mutated_copy.outerHTML !== this.root.outerHTML){
+				console.error(this.root.outerHTML, mutated_copy.outerHTML);
+				throw Error("reverting a copy failed");
+			}
+		}
+		// reapply the mutations with an inverted diff, and revert them again
+		if (synchronize){
+			MutationDiff.patch(MutationDiff.invert(this.diff), MutationDiffFlags.ORIGINAL, custom_set);
+			let rdiff = this.dom_mutated.diff(new CachedDOM(this.root));
+			if (rdiff){
+				console.error(rdiff);
+				throw Error("patching inverted diff failed");
+			}
+			MutationDiff.patch(this.diff, MutationDiffFlags.ORIGINAL, custom_set);
+			rdiff = this.dom_reverted.diff(new CachedDOM(this.root));
+			if (rdiff){
+				console.error(rdiff);
+				throw Error("patching original diff failed");
+			}
+		}
+		// minimal movements from original to mutated, and back again
+		if (minimal){
+			MutationDiff.patch_grouped_children(minimal_mutated);
+			let rdiff = this.dom_mutated.diff(new CachedDOM(this.root), true, false);
+			if (rdiff){
+				console.error(rdiff);
+				throw Error("minimal mutated groups failed");
+			}
+			MutationDiff.patch_grouped_children(minimal_original);
+			rdiff = this.dom_reverted.diff(new CachedDOM(this.root), true, false);
+			if (rdiff){
+				console.error(rdiff);
+				throw Error("minimal original groups failed");
+			}
+		}
+		this.verbose && console.log("stopped, reverted:\n", this.dom_reverted.pretty_print());
+	}
+	/** Revert attributes, data, and some node positions with filtered and single node reverts, checking
+	 * 	each; the remaining changes are left tracked
+	 */
+	revert_partial(){
+		const F = MutationDiffFlags;
+		this.tracker.revert({filter: F.ATTRIBUTE});
+		if (this.tracker.diff(F.ATTRIBUTE | F.ORIGINAL).size)
+			throw Error("filtered revert incorrect");
+		for (const [node, d] of this.tracker.diff(F.ALL)){
+			if (d.data){
+				this.tracker.revert_node(node, F.DATA);
+				if (this.tracker.has_changed(node, F.PROPERTY))
+					throw Error("node property revert incorrect");
+			}
+			else if (d.children){
+				// reverting other nodes can leave this one in place
+				const c = this.tracker.node_diff(node)?.children;
+				if (!c)
+					continue;
+				try{
+					this.tracker.revert_node(node);
+				} catch(err){
+					if (!err.message.startsWith("MutationDiff:"))
+						throw err;
+					// nothing is reverted when the position can't be
+					if (!this.tracker.has_changed(node, F.CHILDREN))
+						throw Error("failed node revert modified the node");
+					continue;
+				}
+				/* placed next to one of its original siblings; unchanged once next to both, unless a sibling
+					is itself moved (see "Diffing Caveat #1" in the README)
+				*/
+				const o = c.original;
+				if (o){
+					const prev = node.parentNode === o.parent && node.previousSibling === o.prev;
+					const next = node.parentNode === o.parent && node.nextSibling === o.next;
+					if (!prev && !next)
+						throw Error("node position revert incorrect");
+					const fixed = s => !s || !this.tracker.has_changed(s, F.CHILDREN);
+					if (prev && next && fixed(o.prev) && fixed(o.next) && this.tracker.has_changed(node, F.CHILDREN))
+						throw Error("node still changed after position revert");
+				}
+				else if (node.parentNode || this.tracker.has_changed(node, F.CHILDREN))
+					throw Error("inserted node not removed by revert");
+			}
+		}
+		this.tracker.synchronize();
+	}
+	/** Check per-node queries, diff kinds, and collapsed diffs against the full diff */
+	check_queries(){
+		const F = MutationDiffFlags;
+		// per-node queries should match the full diff
+		const same = (a, b) => a === b || (a instanceof Map ? b instanceof Map && same(Array.from(a), Array.from(b)) :
+			!!a && !!b && typeof a === "object" && typeof b === "object" && !(a instanceof Node) &&
+			Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(k => same(a[k], b[k])));
+		for (const [node, d] of this.diff){
+			if (!same(d, this.tracker.node_diff(node)) || !this.tracker.has_changed(node) ||
+				!same(Object.keys(d.attribute || {}), this.tracker.changed_attributes(node))
+			){
+				console.error(node, d);
+				throw Error("node diff incorrect");
+			}
+		}
+		if (!this.diff.has(this.root) && (this.tracker.node_diff(this.root) || this.tracker.has_changed(this.root)))
+			throw Error("node diff for unchanged node incorrect");
+		// kinds, and filtering by kind
+		const kinds = {inserted: new Set(), removed: new Set(), moved: new Set(), "property-only": new Set()};
+		for (const [node, d] of this.diff){
+			const c = d.children;
+			if (d.kind !== (!c ? "property-only" : !c.original ? "inserted" : !c.mutated ? "removed" : "moved"))
+				throw Error("diff kind incorrect");
+			kinds[d.kind].add(node);
+		}
+		const same_set = (a, b) => a.size === b.size && Array.from(a).every(n => b.has(n));
+		const grouped = new Set();
+		for (const g of this.tracker.diff_grouped_children(F.MUTATED | F.INSERTED))
+			g.nodes.forEach(n => grouped.add(n));
+		const moved_removed = new Set([...kinds.moved, ...kinds.removed]);
+		if (!same_set(new Set(this.tracker.diff(F.ALL | F.INSERTED).keys()), kinds.inserted) || !same_set(grouped, kinds.inserted) ||
+			!same_set(new Set(this.tracker.diff(F.ALL | F.MOVED | F.REMOVED).keys()), moved_removed)
+		)
+			throw Error("diff kind filter incorrect");
+		/* collapsed subtrees drop exactly the nodes inside an inserted or removed node, and keep the topmost
+			ones; removed nodes are inside one in the original DOM, the others in the mutated DOM. A node
+			that was inserted from a disconnected tree can be an ancestor in the original DOM too
+		*/
+		const collapsed = this.tracker.diff(F.ALL | F.COLLAPSED);
+		const hidden = new Set([...kinds.inserted, ...kinds.removed]);
+		// nodes whose position is unchanged have the same parent as originally
+		const original_parent = (n) => {
+			const c = this.diff.get(n)?.children;
+			return c ? c.original?.parent : n.parentNode;
+		};
+		for (const [node, d] of this.diff){
+			let inside = false;
+			if (d.kind === "removed"){
+				for (let p = original_parent(node); p && !inside; p = original_parent(p))
+					inside = hidden.has(p);
+			}
+			else if (d.kind !== "moved"){
+				for (let p = node.parentNode; p && !inside; p = p.parentNode)
+					inside = hidden.has(p);
+			}
+			if (collapsed.has(node) === inside){
+				console.error(node, d);
+				throw Error("collapsed diff incorrect");
+			}
+		}
+	}
+	/** Check text splices convert original data to mutated and back */
+	check_splices(){
+		const spliced = this.tracker.diff(MutationDiffFlags.ALL | MutationDiffFlags.TEXT_SPLICES);
+		const apply = (text, splices) => {
+			for (const s of splices)
+				text = text.slice(0, s.offset) + s.added + text.slice(s.offset + s.removed.length);
+			return text;
+		};
+		for (const [node, d] of spliced){
+			if (!d.data)
+				continue;
+			if (apply(d.data.original, d.data.splices) !== d.data.mutated){
+				console.error(d.data);
+				throw Error("text splices incorrect");
+			}
+			if (apply(d.data.mutated, MutationDiff.invert(spliced).get(node).data.splices) !== d.data.original){
+				console.error(d.data);
+				throw Error("inverted text splices incorrect");
+			}
+		}
+	}
+	/** Revert everything, checking the selection is preserved */
+	revert_selection(minimal){
+		// caret inside a text node should stay put if the node is kept; revert only works inside the document
+		let caret = this.root.isConnected ? this.root : null;
+		while (caret && caret.nodeType !== Node.TEXT_NODE)
+			caret = caret.lastChild;
+		const selection = document.getSelection();
+		if (caret)
+			selection.setBaseAndExtent(caret, Math.min(1, caret.length), caret, Math.min(1, caret.length));
+		this.tracker.revert({minimal, selection: true});
+		if (caret){
+			if (this.root.contains(caret)){
+				if (selection.anchorNode !== caret || selection.anchorOffset !== Math.min(1, caret.length))
+					throw Error("selection not preserved after revert");
+			}
+			else if (!this.root.contains(selection.anchorNode))
+				throw Error("selection not restored inside root after revert");
+		}
+	}
+	/** Check that a serialized diff deserializes to match the current diff
+	 * @param {string} json serialized diff
+	 * @param {function} inside whether a node should be found by path, rather than as a snapshot
+	 */
+	check_serialized(json, inside){
+		const same = (a, b) => {
+			if (a instanceof Node)
+				return b instanceof Node && (inside(a) ? a === b : a !== b && a.nodeName === b.nodeName);
+			if (a instanceof Map)
+				return b instanceof Map && same(Array.from(a), Array.from(b));
+			if (a && typeof a === "object"){
+				if (!b || typeof b !== "object" || Object.keys(a).length !== Object.keys(b).length)
+					return false;
+				for (const k in a){
+					if (!same(a[k], b[k]))
+						return false;
+				}
+				return true;
+			}
+			return a === b;
+		};
+		if (!same(this.diff, MutationDiff.deserialize(json, this.root))){
+			console.error(json);
+			throw Error("deserialized diff doesn't match");
+		}
+	}
+}
+
 
 // For reproducible randomized tests:
 // copied from here: https://stackoverflow.com/questions/521295
@@ -301,11 +742,13 @@ function xoshiro128ss(a, b, c, d) {
  * @param flush whether to flush mutation records after each DOM modification; use with inline
  * 	assertions to localize exactly where a problem occurs
  * @param synchronize call synchronize on results
+ * @param scoped revert or clear a random subtree of the original DOM first, before reverting the rest
+ * @param checkpoint create a checkpoint halfway through the mutations, and revert to it first
  * @param verbose verbose logging
  */
 function randomized_tests({
 	sample_count, element_count, text_count, data_count, init_op_count,
-	op_count, insert_max, prop_chance, flush, synchronize, verbose
+	op_count, insert_max, prop_chance, flush, synchronize, features, verbose
 }){
 	// random integer, max is exclusive
 	function random_int(max){ return Math.floor(random()*max); }
@@ -340,6 +783,9 @@ function randomized_tests({
 	// create nodes; don't use randomness here, so that each test can be reproducible by
 	// setting random seed to what it was at the start of the test
 	const root = node();
+	// in the document so that selection can be placed inside it
+	root.hidden = true;
+	document.body.append(root);
 	const els = nodes(element_count);
 	const txts = [];
 	while (txts.length != text_count)
@@ -356,12 +802,12 @@ function randomized_tests({
 		console.log(`#${name} {`);
 		let roots = new Set([root]);
 		for (let m of merged)
-			roots.add(m.getRootNode());
+			roots.add(m.isConnected ? root : m.getRootNode());
 		for (let r of roots)
 			console.log((new CachedDOM(r)).pretty_print(1))
 		console.log("}")
 	}
-	let test = new Tester(false); // verbose false, we'll do our own logging here
+	let test = features ? new FeatureTester(false) : new Tester(false); // verbose false, we'll do our own logging here
 	let iter = 0;
 	// single test
 	function single_test(){
@@ -372,7 +818,10 @@ function randomized_tests({
 			m.remove();
 			if (m.nodeType === Node.TEXT_NODE)
 				set_data(m, 0);
-			else m.removeAttribute("class");
+			else{
+				m.removeAttribute("class");
+				m.tag = null;
+			}
 		}
 		const shuffled = Array.from(merged);
 		// initialize DOM; randomly insert into root
@@ -393,14 +842,25 @@ function randomized_tests({
 				if (i == init_op_count){
 					started = true;
 					test.start(root);
+					// original values for registered properties
+					for (const m of merged)
+						test.tracker.check_properties(m);
 					log_full("start");
 				}
+				if (features && i == init_op_count + Math.floor(op_count/2)){
+					test.checkpoint(synchronize);
+					log_full("checkpoint");
+				}
 				let p = random();
 				// modify property
 				if (p <= prop_chance){
 					const node = random_val(shuffled);
 					if (node.nodeType == Node.TEXT_NODE)
 						set_data(node, random_data());
+					else if (random() < .25){
+						node.tag = "x"+random_data();
+						started && test.tracker.check_properties(node);
+					}
 					else node.setAttribute("class", "x"+random_data());
 					verbose && started && console.log("prop", node);
 				}
@@ -456,7 +916,23 @@ function randomized_tests({
 			}
 			test.stop();
 			log_full("stop");
-			test.revert(synchronize);
+			if (features){
+				test.check("checkpoint", () => test.revert_checkpoint(synchronize));
+				log_full("checkpoint revert");
+				const scope = random_val(els);
+				if (test.dom_original.find(scope)){
+					if (random() < .5){
+						test.check("scoped revert", () => test.revert_scoped(scope, synchronize, synchronize && random() < .5));
+						log_full("scoped revert");
+					}
+					else{
+						test.check("scoped clear", () => test.clear_scoped(scope, synchronize));
+						log_full("scoped clear");
+					}
+				}
+				test.revert(synchronize, synchronize && random() < .5, synchronize && random() < .25);
+			}
+			else test.revert(synchronize);
 			log_full("revert");
 			test.check_revert(`random_sample_${iter}`);
 		} catch(err){
@@ -480,6 +956,842 @@ function randomized_tests({
 	});
 }
 
+/* Feature tests: small deterministic scenarios for behavior the random tests don't cover. Each is
+	given a fresh root inside document.body, which is removed afterwards.
+*/
+const features = [];
+function feature(name, fn){
+	features.push({name, fn});
+}
+function assert(cond, msg){
+	if (!cond)
+		throw Error("assertion: "+msg);
+}
+async function feature_tests(){
+	for (const {name, fn} of features){
+		if (should_stop)
+			return;
+		const root = node();
+		document.body.append(root);
+		try{
+			await fn(root);
+		} catch(err){
+			console.error("Feature test failed:", name);
+			throw err;
+		} finally{
+			root.remove();
+		}
+	}
+}
+
+feature("scoped revert reports custom properties to checkpoints", root => {
+	const get = (node, key) => node[key];
+	const tracker = new MutationDiff();
+	const [A,B] = nodes(2);
+	root.append(A,B);
+	A.k = "b";
+	tracker.custom(A, "k", "b", "a");
+	const cp = tracker.checkpoint();
+	tracker.revert({root, custom_set, custom_get: get});
+	assert(!tracker.mutated(), "scoped revert should revert custom property");
+	tracker.revert_to(cp, custom_set, get);
+	assert(A.k === "b", "revert_to should restore value at checkpoint");
+	// filtered revert, and revert_node
+	tracker.revert({custom_set, filter: MutationDiffFlags.CUSTOM, custom_get: get});
+	assert(A.k === "a", "filtered revert should revert custom property");
+	tracker.revert_to(cp, custom_set, get);
+	assert(A.k === "b", "revert_to should restore value after filtered revert");
+	tracker.revert_node(A, MutationDiffFlags.ALL, custom_set, get);
+	assert(A.k === "a", "revert_node should revert custom property");
+	tracker.revert_to(cp, custom_set, get);
+	assert(A.k === "b", "revert_to should restore value after revert_node");
+	// without custom_get, the checkpoint can't know the value to restore
+	tracker.release(cp);
+	B.k = "b";
+	tracker.custom(B, "k", "b", "a");
+	const cp2 = tracker.checkpoint();
+	tracker.revert(root, custom_set);
+	tracker.revert_to(cp2, custom_set);
+	assert(B.k === "a", "checkpoint should not track property with unknown value");
+	assert(!cp2.mutated(), "checkpoint should not track property with unknown value");
+});
+
+feature("checkpoint flushes pending records", root => {
+	const t = text("a");
+	root.append(t);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	t.data = "b";
+	const cp = tracker.checkpoint();
+	t.data = "c";
+	obs.flush();
+	tracker.revert_to(cp);
+	assert(t.data === "b", "revert_to should keep mutations made before the checkpoint");
+	tracker.revert();
+	assert(t.data === "a", "revert should restore original");
+	obs.stop();
+});
+
+feature("revert arguments", root => {
+	const [P,Q,A,B] = nodes(4);
+	P.append(A);
+	Q.append(B);
+	root.append(P,Q);
+	const tracker = new MutationDiff();
+	const change = () => {
+		A.k = "b";
+		tracker.custom(A, "k", "b", "a");
+		B.k = "b";
+		tracker.custom(B, "k", "b", "a");
+	};
+	// custom_set alone
+	change();
+	tracker.revert(custom_set);
+	assert(A.k === "a" && B.k === "a" && !tracker.mutated(), "revert(custom_set) should revert");
+	// root and custom_set
+	change();
+	tracker.revert(P, custom_set);
+	assert(A.k === "a" && B.k === "b" && tracker.mutated(), "revert(root, custom_set) should revert inside root");
+	// options
+	tracker.revert({root: Q, custom_set, filter: MutationDiffFlags.ATTRIBUTE});
+	assert(B.k === "b", "revert options should filter");
+	tracker.revert({root: Q, custom_set, filter: MutationDiffFlags.CUSTOM});
+	assert(B.k === "a" && !tracker.mutated(), "revert options should revert inside root");
+});
+
+feature("registered properties after clear and revert", root => {
+	const [A,B] = nodes(2);
+	A.k = B.k = "a";
+	root.append(A,B);
+	const tracker = new MutationDiff();
+	tracker.define_property("k", {get: node => node.k, set: (node, value) => node.k = value, on: ["edit"]});
+	const obs = new MutationDiffObserver(tracker, root);
+	// the value has already changed when its event is dispatched
+	const edit = (node, value) => {
+		node.k = value;
+		node.dispatchEvent(new Event("edit", {bubbles: true}));
+	};
+	edit(A, "b");
+	obs.flush();
+	tracker.clear();
+	assert(!tracker.mutated(), "clear should commit property");
+	edit(B, "b");
+	obs.flush();
+	assert(tracker.mutated(), "first edit after clear should be recorded");
+	edit(A, "a");
+	tracker.revert();
+	assert(A.k === "b" && B.k === "a", "revert should restore values as of clear");
+	edit(A, "c");
+	obs.flush();
+	assert(tracker.mutated(), "first edit after revert should be recorded");
+	edit(A, "b");
+	obs.flush();
+	assert(!tracker.mutated(), "edit back to the value as of clear should not be mutated");
+	obs.stop();
+});
+
+feature("history coalesces captures into transactions", async root => {
+	const t = text("0");
+	root.append(t);
+	const obs = new MutationDiffObserver(new MutationDiff(), root);
+	const hist = new MutationHistory(obs, {coalesce: 20});
+	assert(!hist.can_undo && !hist.can_redo, "history should start empty");
+	t.data = "1";
+	hist.capture();
+	t.data = "2";
+	hist.capture();
+	await sleep(50);
+	// sealed after coalesce delay, so this is a new transaction
+	t.data = "3";
+	hist.capture();
+	assert(hist.undo() && t.data === "2", "undo should revert the last transaction");
+	assert(hist.undo() && t.data === "0", "undo should revert the whole transaction");
+	assert(!hist.can_undo && !hist.undo(), "nothing left to undo");
+	assert(hist.redo() && t.data === "2", "redo should reapply the whole transaction");
+	assert(hist.redo() && t.data === "3", "redo should reapply the last transaction");
+	assert(!hist.can_redo && !hist.redo(), "nothing left to redo");
+	obs.stop();
+});
+feature("history undo/redo of sealed transactions", root => {
+	const [A,B] = nodes(2);
+	const t = text("0");
+	root.append(A,B,t);
+	const obs = new MutationDiffObserver(new MutationDiff(), root);
+	const hist = new MutationHistory(obs, {coalesce: 1000});
+	t.data = "1";
+	hist.capture();
+	assert(hist.seal(), "seal should push transaction");
+	assert(!hist.seal(), "empty transaction should not be sealed");
+	root.prepend(B);
+	A.setAttribute("class", "x");
+	// undo seals pending mutations first
+	assert(hist.undo(), "undo should succeed");
+	assert(root.firstChild === A && !A.hasAttribute("class") && t.data === "1", "undo should revert last transaction");
+	assert(hist.undo() && t.data === "0", "undo should revert first transaction");
+	assert(!obs.tracker.mutated(), "tracker should be unmutated after undoing everything");
+	assert(hist.redo() && t.data === "1" && root.firstChild === A, "redo should reapply first transaction");
+	assert(hist.redo() && root.firstChild === B && A.getAttribute("class") === "x", "redo should reapply last transaction");
+	// new mutations clear redo history
+	hist.undo();
+	t.data = "2";
+	hist.capture();
+	assert(!hist.can_redo && !hist.redo(), "new mutations should clear redo history");
+	obs.stop();
+});
+feature("history cleared when tracker is fully reverted", root => {
+	const t = text("0");
+	root.append(t);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	const hist = new MutationHistory(obs, {coalesce: 0});
+	t.data = "1";
+	hist.capture();
+	hist.undo();
+	tracker.revert();
+	assert(!hist.can_undo && !hist.can_redo, "history should be cleared");
+	// usable afterwards
+	t.data = "2";
+	hist.capture();
+	assert(hist.undo() && t.data === "0", "undo should work after history is cleared");
+	assert(!hist.undo(), "nothing left to undo");
+	hist.stop();
+	obs.stop();
+});
+feature("history limit", root => {
+	const t = text("0");
+	root.append(t);
+	const obs = new MutationDiffObserver(new MutationDiff(), root);
+	const hist = new MutationHistory(obs, {coalesce: 0, limit: 2});
+	for (let i=1; i<=3; i++){
+		t.data = String(i);
+		hist.capture();
+	}
+	assert(hist.undo() && hist.undo(), "should undo up to limit");
+	assert(!hist.undo() && t.data === "1", "should not undo past limit");
+	obs.stop();
+});
+feature("history redo of registered property without set", root => {
+	const A = node();
+	root.append(A);
+	const tracker = new MutationDiff();
+	tracker.define_property("k", {get: node => node.k});
+	A.k = "a";
+	tracker.check_properties(A);
+	const obs = new MutationDiffObserver(tracker, root);
+	const hist = new MutationHistory(obs, {coalesce: 0, custom_set});
+	A.k = "b";
+	A.setAttribute("class", "x");
+	hist.capture();
+	assert(hist.undo() && A.k === "a", "undo should revert registered property");
+	assert(hist.redo() && A.k === "b", "redo should reapply registered property");
+	assert(hist.undo() && A.k === "a", "undo should revert redone property");
+	obs.stop();
+});
+feature("history attach", root => {
+	const t = text("0");
+	root.append(t);
+	const obs = new MutationDiffObserver(new MutationDiff(), root);
+	const hist = new MutationHistory(obs, {coalesce: 0});
+	const input = type => root.dispatchEvent(new InputEvent("input", {inputType: type}));
+	const before = type => {
+		const e = new InputEvent("beforeinput", {inputType: type, cancelable: true});
+		root.dispatchEvent(e);
+		return e.defaultPrevented;
+	};
+	hist.attach(root);
+	t.data = "1";
+	input("insertText");
+	assert(hist.can_undo, "input event should capture");
+	assert(before("historyUndo") && t.data === "0", "historyUndo should undo");
+	assert(before("historyRedo") && t.data === "1", "historyRedo should redo");
+	assert(!before("insertText"), "other input types should not be prevented");
+	hist.detach(root);
+	assert(!before("historyUndo") && t.data === "1", "detached host should be ignored");
+	obs.stop();
+});
+
+feature("deserialize by key attribute", root => {
+	// characters that would need escaping in a selector
+	const key = "data-k:1.x";
+	const [A,B,C] = nodes(3);
+	A.setAttribute(key, "a");
+	B.setAttribute(key, "b");
+	root.append(A,B,C);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	root.prepend(B);
+	obs.flush();
+	obs.stop();
+	const json = JSON.stringify(MutationDiff.serialize(tracker.diff(), root, MutationDiffFlags.MUTATED, key));
+	assert(json.includes('"key":"a"'), "siblings should be serialized by key");
+	const diff = MutationDiff.deserialize(json, root);
+	assert(diff.get(B).children.original.prev === A, "key should resolve to its element");
+	// ambiguous keys can't be resolved
+	C.setAttribute(key, "a");
+	let threw = false;
+	try{
+		MutationDiff.deserialize(json, root);
+	} catch{
+		threw = true;
+	}
+	assert(threw, "duplicate key value should throw");
+});
+
+feature("patch keyed diff onto an offscreen copy", root => {
+	const [A,B,C] = nodes(3);
+	for (const n of [A,B,C])
+		n.setAttribute("data-key", n.id);
+	root.append(A,B,C);
+	const doc = document.implementation.createHTMLDocument();
+	const copy = doc.importNode(root, true);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	root.prepend(C);
+	B.append(text("x"));
+	obs.flush();
+	obs.stop();
+	const json = JSON.stringify(MutationDiff.serialize(tracker.diff(), root, MutationDiffFlags.ORIGINAL, "data-key"));
+	// no browser-only globals outside a browser, such as when replaying on a server
+	const css = Object.getOwnPropertyDescriptor(globalThis, "CSS");
+	delete globalThis.CSS;
+	try{
+		MutationDiff.patch(json, {root: copy});
+	} finally{
+		if (css)
+			Object.defineProperty(globalThis, "CSS", css);
+	}
+	assert(copy.outerHTML === root.outerHTML, "patching a keyed diff should replay changes");
+});
+
+feature("range narrowed to text splices", root => {
+	const [A,B] = nodes(2);
+	const t = text("hello world");
+	root.append(A,t,B);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	t.data = "hello big world";
+	obs.flush();
+	assert(tracker.range(root) instanceof BoundaryRange, "range without flag should be a BoundaryRange");
+	let r = tracker.range(root, MutationDiffFlags.TEXT_SPLICES);
+	assert(r.range.start.node === t && r.range.end.node === t, "range should be inside text node");
+	assert(r.start_offset === 6 && r.end_offset === 10, "offsets should bound the changed characters");
+	// boundary outside text has no offset
+	A.setAttribute("class", "x");
+	obs.flush();
+	r = tracker.range(root, MutationDiffFlags.TEXT_SPLICES);
+	assert(r.start_offset === null && r.end_offset === 10, "only the end should be inside text node");
+	obs.stop();
+});
+
+feature("revert_node position", root => {
+	const F = MutationDiffFlags;
+	const [A,B,C,D,E] = nodes(5);
+	root.append(A,B,C,E);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, [root, D]);
+	root.append(A);
+	obs.flush();
+	tracker.revert_node(A);
+	assert(root.firstChild === A && !tracker.has_changed(A, F.CHILDREN), "node should be back in its original position");
+	assert(!tracker.mutated(), "tracker should be unmutated");
+	// both original siblings moved elsewhere
+	D.append(A,C);
+	root.append(B);
+	obs.flush();
+	let threw = false;
+	try{
+		tracker.revert_node(B);
+	} catch{
+		threw = true;
+	}
+	assert(threw && root.lastChild === B && tracker.has_changed(B, F.CHILDREN), "failed revert should leave node as-is");
+	obs.stop();
+});
+
+feature("namespaced attributes", root => {
+	const F = MutationDiffFlags;
+	const key = test_ns+":class";
+	const [A,B] = nodes(2);
+	A.setAttributeNS(test_ns, "t:class", "a");
+	root.append(A,B);
+	const tracker = new MutationDiff();
+	// no attributeFilter, as it excludes namespaced attributes
+	const obs = new MutationDiffObserver(tracker, root);
+	A.setAttributeNS(test_ns, "u:class", "b");
+	A.setAttribute("class", "c");
+	B.setAttributeNS(test_ns, "t:class", "x");
+	obs.flush();
+	const diff = tracker.diff();
+	const d = diff.get(A).attribute;
+	assert(d[key]?.original === "a" && d[key].mutated === "b", "namespaced attribute values incorrect");
+	assert(d[key].namespace === test_ns && d[key].localName === "class" && d[key].prefix === "t",
+		"namespaced attribute name incorrect");
+	assert(d.class?.mutated === "c", "attribute with same local name should be separate");
+	assert(tracker.changed_attributes(A).includes(key), "changed_attributes should include namespaced key");
+	tracker.revert_node(B, F.ATTRIBUTE);
+	assert(!B.hasAttributeNS(test_ns, "class") && !tracker.has_changed(B), "namespaced attribute should be removed");
+	tracker.revert();
+	assert(A.getAttributeNS(test_ns, "class") === "a" && !A.hasAttribute("class"), "revert should restore namespaced attribute");
+	// patch forward again, then remove
+	MutationDiff.patch(diff, F.MUTATED);
+	assert(A.getAttributeNS(test_ns, "class") === "b" && B.getAttributeNS(test_ns, "class") === "x",
+		"patch should set namespaced attributes");
+	obs.flush();
+	tracker.clear();
+	A.removeAttributeNS(test_ns, "class");
+	obs.flush();
+	assert(tracker.diff().get(A).attribute[key].mutated === null, "removed namespaced attribute should be null");
+	tracker.revert();
+	assert(A.getAttributeNS(test_ns, "class") === "b", "revert should restore removed namespaced attribute");
+	obs.stop();
+});
+
+feature("form control state", root => {
+	const F = MutationDiffFlags;
+	const form = document.createElement("form");
+	form.innerHTML = `<input id=t value=a><input type=checkbox id=c><input type=radio name=r id=r1 checked>
+		<input type=radio name=r id=r2><textarea id=ta>x</textarea><select id=s multiple><option>0<option selected>1<option>2</select>
+		<input type=hidden id=h value=z>`;
+	root.append(form);
+	const $ = id => form.querySelector("#"+id);
+	const fire = (el, type) => el.dispatchEvent(new Event(type, {bubbles: true}));
+	const tracker = new MutationDiff();
+	// user defined property with a built-in name is kept
+	const value = {get: node => node.dataset?.value};
+	tracker.define_property("value", value);
+	const obs = new MutationDiffObserver(tracker, root, F.ALL | F.FORM);
+	assert(tracker.properties.get("value").get === value.get, "FORM should not replace user properties");
+	$("t").value = "b";
+	fire($("t"), "input");
+	$("c").checked = true;
+	fire($("c"), "change");
+	// the other radio in the group is unchecked without an event
+	$("r2").checked = true;
+	fire($("r2"), "change");
+	$("ta").value = "y";
+	fire($("ta"), "input");
+	$("s").options[2].selected = true;
+	fire($("s"), "change");
+	obs.flush();
+	const diff = tracker.diff(F.CUSTOM | F.ORIGINAL | F.MUTATED);
+	const custom = (id, key) => diff.get($(id))?.custom?.get(key);
+	assert(custom("t", "form:value")?.original === "a" && custom("t", "form:value").mutated === "b", "value incorrect");
+	assert(custom("ta", "form:value")?.mutated === "y", "textarea value incorrect");
+	assert(custom("c", "form:checked")?.original === false && custom("c", "form:checked").mutated === true, "checked incorrect");
+	assert(custom("r1", "form:checked")?.mutated === false && custom("r2", "form:checked")?.mutated === true,
+		"radio group incorrect");
+	const selected = custom("s", "form:selected");
+	assert(selected?.original.join() === "1" && selected.mutated.join() === "1,2", "selected incorrect");
+	assert(!diff.has($("h")), "valueless input should not be tracked");
+	tracker.revert(root);
+	assert($("t").value === "a" && !$("c").checked && $("r1").checked && !$("r2").checked && $("ta").value === "x" &&
+		Array.from($("s").selectedOptions, o => o.index).join() === "1", "revert should restore form state");
+	assert(!tracker.mutated(), "tracker should be unmutated after revert");
+	// changing back to the original is not a mutation
+	$("t").value = "q";
+	fire($("t"), "input");
+	$("t").value = "a";
+	fire($("t"), "input");
+	obs.flush();
+	assert(!tracker.mutated(), "value changed back should not be mutated");
+	// the first edit after clear or revert is recorded
+	const custom_now = id => tracker.diff(F.CUSTOM | F.ORIGINAL | F.MUTATED).get($(id))?.custom?.get("form:value");
+	$("t").value = "b";
+	fire($("t"), "input");
+	obs.flush();
+	tracker.clear();
+	$("t").value = "c";
+	fire($("t"), "input");
+	obs.flush();
+	assert(custom_now("t")?.original === "b" && custom_now("t").mutated === "c", "edit after clear should be recorded");
+	tracker.revert(root);
+	assert($("t").value === "b", "revert should restore value from clear");
+	$("t").value = "d";
+	fire($("t"), "input");
+	obs.flush();
+	assert(tracker.mutated() && custom_now("t")?.mutated === "d", "edit after revert should be recorded");
+	obs.stop();
+});
+
+feature("compose form control state", root => {
+	const F = MutationDiffFlags;
+	const select = document.createElement("select");
+	select.multiple = true;
+	select.innerHTML = "<option>0<option selected>1<option>2";
+	root.append(select);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root, F.ALL | F.FORM);
+	const change = i => {
+		select.options[i].selected = !select.options[i].selected;
+		select.dispatchEvent(new Event("change", {bubbles: true}));
+	};
+	change(2);
+	obs.flush();
+	const a = tracker.diff();
+	const cp = tracker.checkpoint();
+	change(2);
+	obs.flush();
+	const b = tracker.diff_since(cp);
+	assert(b.get(select)?.custom?.has("form:selected"), "change back should be in later diff");
+	assert(!MutationDiff.compose(a, b, tracker.properties).has(select), "selection changed back should be dropped");
+	// a net change is kept
+	change(0);
+	obs.flush();
+	const net = MutationDiff.compose(a, tracker.diff_since(cp), tracker.properties).get(select)?.custom?.get("form:selected");
+	assert(net?.original.join() === "1" && net.mutated.join() === "0,1", "net selection incorrect");
+	obs.stop();
+});
+
+feature("contenteditable guard", root => {
+	root.contentEditable = "true";
+	root.innerHTML = "<p>hello</p><p>world</p>";
+	const [p1, p2] = root.childNodes;
+	const t1 = p1.firstChild;
+	let intent = null;
+	const guard = new ContentEditableGuard(root, i => intent = i);
+	const input = (type, data=null, init) => {
+		intent = null;
+		root.dispatchEvent(new InputEvent("input", {inputType: type, data, ...init}));
+	};
+	const original = root.innerHTML;
+	// typing
+	t1.data = "heXXllo";
+	input("insertText", "XX");
+	assert(intent?.type === "insertText" && intent.data === "XX" && intent.text === "XX" && !intent.nodes.length,
+		"insertText intent incorrect");
+	assert(intent.range.range.start.node === t1 && intent.range.start_offset === 2 && intent.range.end_offset === 2,
+		"insertText range incorrect");
+	assert(root.innerHTML === original, "insertText not reverted");
+	// deletion; offsets are into the reverted text
+	t1.data = "hlo";
+	input("deleteContentBackward");
+	assert(intent?.text === "" && intent.range.start_offset === 1 && intent.range.end_offset === 3,
+		"deletion intent incorrect");
+	assert(root.innerHTML === original, "deletion not reverted");
+	/* separate changes give a single range, whose text includes the unchanged content between them; the
+		range is for the reverted DOM, where it covers the content the text replaces
+	*/
+	t1.data = "hellXo";
+	const br = document.createElement("br");
+	p1.append(br);
+	input("insertParagraph");
+	assert(intent?.text === "Xo" && intent.nodes.length === 1 && intent.nodes[0] === br, "insertion with node incorrect");
+	assert(intent.range.start_offset === 4 && intent.range.end_offset === null, "insertion with node range incorrect");
+	const r = intent.range.range.toRange();
+	r.setStart(t1, intent.range.start_offset);
+	assert(r.toString() === "o", "range should cover the replaced content in the reverted DOM");
+	// composition is reverted once it ends
+	t1.data = "helloか";
+	input("insertCompositionText", "か", {isComposing: true});
+	assert(!intent && t1.data === "helloか", "composition should not be reverted");
+	intent = null;
+	root.dispatchEvent(new CompositionEvent("compositionend", {data: "か"}));
+	assert(intent?.type === "insertCompositionText" && intent.text === "か", "composition intent incorrect");
+	assert(root.innerHTML === original, "composition not reverted");
+	// application changes are kept once committed
+	p2.firstChild.data = "WORLD";
+	guard.commit();
+	t1.data = "hellox";
+	input("insertText", "x");
+	assert(intent?.text === "x" && root.innerHTML === "<p>hello</p><p>WORLD</p>", "committed changes should be kept");
+	guard.stop();
+	t1.data = "bye";
+	input("insertText", "bye");
+	assert(!intent && t1.data === "bye", "stopped guard should not revert");
+});
+
+feature("shadow roots", root => {
+	const F = MutationDiffFlags;
+	const [A,host,B,X,Y] = nodes(5);
+	const t = text("x");
+	root.append(A,host,B);
+	const shadow = host.attachShadow({mode: "open"});
+	X.append(t);
+	shadow.append(X,Y);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root, F.ALL | F.SHADOW);
+	const plain = new MutationDiff();
+	const plain_obs = new MutationDiffObserver(plain, root);
+	t.data = "xx";
+	obs.flush();
+	plain_obs.flush();
+	assert(!plain.mutated(), "shadow tree should not be observed without flag");
+	assert(tracker.mutated(root) && tracker.mutated(host) && !tracker.mutated(A), "shadow tree changes should be inside host");
+	// the range is bounded by the host, or includes its contents if it is root
+	const expect = (r, ref) => r.isEqual(ref.normalize());
+	assert(expect(tracker.range(root), new BoundaryRange().selectNode(host, true)), "range should be bounded by host");
+	assert(expect(tracker.range(host), new BoundaryRange().selectNodeContents(host)), "range of host should be its contents");
+	// removed from the shadow tree, whose original position is inside root through the host
+	Y.remove();
+	obs.flush();
+	assert(tracker.mutated(host), "removal from shadow tree should be inside host");
+	tracker.revert(root);
+	assert(shadow.lastChild === Y && t.data === "x" && !tracker.mutated(), "scoped revert should restore shadow tree");
+	Y.remove();
+	obs.flush();
+	tracker.clear(host);
+	assert(!tracker.mutated(), "scoped clear should commit shadow tree changes");
+	// shadow root of an inserted element
+	const [H,Z] = nodes(2);
+	const shadow2 = H.attachShadow({mode: "open"});
+	shadow2.append(Z);
+	B.append(H);
+	obs.flush();
+	tracker.clear();
+	Z.remove();
+	obs.flush();
+	assert(tracker.mutated(B) && !tracker.mutated(A), "shadow root of inserted element should be observed");
+	tracker.revert(B);
+	assert(shadow2.firstChild === Z && !tracker.mutated(), "scoped revert should restore inserted shadow tree");
+	// attached to an element already in the tree; found by reattach
+	const W = node();
+	const shadow3 = A.attachShadow({mode: "open"});
+	shadow3.append(W);
+	W.remove();
+	obs.flush();
+	assert(!tracker.mutated(), "shadow root attached later is not observed");
+	shadow3.append(W);
+	obs.reattach();
+	W.remove();
+	obs.flush();
+	assert(tracker.mutated(A), "reattach should observe shadow root attached later");
+	// custom element upgraded after being inserted
+	const name = "md-upgrade-" + Math.random().toString(36).slice(2);
+	const custom = document.createElement(name);
+	B.append(custom);
+	obs.flush();
+	tracker.clear();
+	customElements.define(name, class extends HTMLElement{
+		constructor(){
+			super();
+			this.attachShadow({mode: "open"}).append(node());
+		}
+	});
+	obs.flush();
+	custom.shadowRoot.firstChild.remove();
+	obs.flush();
+	assert(tracker.mutated(B) && !tracker.mutated(A), "shadow root of upgraded custom element should be observed");
+	tracker.revert(B);
+	assert(custom.shadowRoot.firstChild && !tracker.mutated(), "scoped revert should restore upgraded shadow tree");
+	obs.stop();
+	plain_obs.stop();
+});
+
+feature("detached trees", root => {
+	const F = MutationDiffFlags;
+	const [A,B,C,U,X] = nodes(5);
+	root.append(A,C);
+	B.append(U);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root, F.ALL | F.DETACHED_CROSS_BATCH);
+	// removed to a disconnected tree, which is then modified and inserted
+	B.append(A);
+	obs.flush(false);
+	A.before(X);
+	U.remove();
+	root.append(B);
+	obs.flush(false);
+	// insertions into the tree are known, rather than unknown siblings
+	const diff = tracker.diff();
+	assert(diff.get(X)?.kind === "inserted" && diff.get(A).children.mutated.prev === X, "detached tree insertion should be tracked");
+	tracker.revert();
+	assert(root.firstChild === A && root.lastChild === C && root.childNodes.length === 2, "revert should restore root");
+	assert(B.firstChild === U && B.childNodes.length === 1, "revert should restore detached tree");
+	// detached trees are forgotten once unmutated
+	B.append(X);
+	obs.flush();
+	assert(!tracker.mutated(), "forgotten detached tree should not be tracked");
+	X.remove();
+	// tracked again when a node is removed to it
+	C.remove();
+	obs.flush();
+	root.append(C);
+	obs.flush();
+	assert(!tracker.mutated(), "tracker should be unmutated");
+	C.remove();
+	C.append(X);
+	obs.flush();
+	tracker.revert();
+	assert(root.lastChild === C && !C.firstChild, "changes to a tree removed to again should be tracked");
+	obs.stop();
+});
+
+feature("observers paused while reverting", root => {
+	const [A,B,C,D] = nodes(4);
+	const t = text("a");
+	A.append(t);
+	root.append(A,B,C);
+	const html = root.innerHTML;
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	// pending records are recorded before reverting, and the reversion's records are discarded
+	t.data = "b";
+	B.append(D);
+	tracker.revert(A);
+	obs.flush();
+	assert(!tracker.mutated(A) && tracker.mutated(B), "scoped revert should not be recorded");
+	assert(tracker.diff().get(D)?.kind === "inserted", "scoped revert should keep changes outside root");
+	const cp = tracker.checkpoint();
+	C.setAttribute("class", "x");
+	tracker.revert_node(C);
+	obs.flush();
+	assert(!tracker.has_changed(C), "revert_node should not be recorded");
+	C.remove();
+	tracker.revert_to(cp);
+	obs.flush();
+	assert(root.lastChild === C && D.parentNode === B && !cp.mutated(), "revert_to should not be recorded");
+	// later changes are tracked against the original DOM
+	t.data = "c";
+	root.prepend(C);
+	obs.flush();
+	tracker.revert();
+	obs.flush();
+	assert(!tracker.mutated() && root.innerHTML === html, "tracker should match DOM after reverting");
+	obs.stop();
+});
+
+feature("pause and resume", async root => {
+	const [A,B,C] = nodes(3);
+	root.append(A);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	// changes before pausing are kept
+	root.append(B);
+	obs.pause();
+	obs.pause();
+	root.append(C);
+	obs.resume();
+	// still paused after the inner resume, including when records are delivered
+	A.remove();
+	await sleep(0);
+	obs.resume();
+	obs.flush();
+	const diff = tracker.diff();
+	assert(diff.get(B)?.kind === "inserted", "changes before pausing should be recorded");
+	assert(!diff.has(C) && !diff.has(A), "changes while paused should be discarded");
+	// restore the DOM the tracker knows of
+	const ret = obs.without_recording(() => {
+		C.remove();
+		root.prepend(A);
+		return 1;
+	});
+	assert(ret === 1, "without_recording should return result");
+	obs.flush();
+	assert(tracker.mutated(), "without_recording should not record changes");
+	// extra resume is ignored
+	obs.resume();
+	B.remove();
+	obs.flush();
+	assert(!tracker.mutated(), "changes after resuming should be recorded");
+	obs.stop();
+});
+
+feature("auto flush", async root => {
+	const [A,B] = nodes(2);
+	root.append(A);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root);
+	const calls = [];
+	const callback = changes => calls.push(changes);
+	// batched into a single flush
+	obs.auto_flush(callback);
+	root.append(B);
+	A.setAttribute("class", "x");
+	await sleep(0);
+	assert(calls.length === 1 && calls[0].mutated && calls[0].diff.get(B)?.kind === "inserted", "microtask flush should report changes");
+	assert(calls[0].range, "flush should report range");
+	// reverting is not observed, but still reported
+	tracker.revert();
+	await sleep(0);
+	assert(calls.length === 2 && !calls[1].mutated && !calls[1].diff.size, "revert should schedule a flush");
+	const hist = new MutationHistory(obs, {coalesce: 0});
+	A.setAttribute("class", "y");
+	hist.capture();
+	await sleep(0);
+	hist.undo();
+	await sleep(0);
+	assert(calls.length === 4 && !calls[3].mutated, "undo should schedule a flush");
+	hist.stop();
+	// clearing changes the mutated state
+	root.append(B);
+	await sleep(0);
+	tracker.clear();
+	await sleep(0);
+	assert(calls.length === 6 && !calls[5].mutated, "clear should schedule a flush");
+	// a manual flush leaves nothing for the scheduled one
+	B.remove();
+	obs.flush();
+	await sleep(0);
+	assert(calls.length === 7 && calls[6].mutated, "manual flush should report change of mutated state");
+	tracker.clear();
+	await sleep(0);
+	calls.length = 0;
+	// other timings
+	for (const timing of ["frame", "idle"]){
+		obs.auto_flush(callback, {timing, delay: 50});
+		A.setAttribute("class", timing);
+		await sleep(150);
+		assert(calls.length === 1 && calls[0].mutated, timing+" flush should report changes");
+		calls.length = 0;
+	}
+	// debounce restarts the wait for each change
+	obs.auto_flush(callback, {timing: "debounce", delay: 60});
+	A.setAttribute("class", "a");
+	await sleep(40);
+	A.setAttribute("class", "b");
+	await sleep(40);
+	assert(!calls.length, "debounce should restart on new changes");
+	await sleep(60);
+	assert(calls.length === 1, "debounce should flush once changes stop");
+	// cancelled when disabled or stopped
+	A.setAttribute("class", "c");
+	await sleep(0);
+	obs.auto_flush(null);
+	await sleep(100);
+	assert(calls.length === 1, "disabling should cancel scheduled flush");
+	obs.auto_flush(callback);
+	A.setAttribute("class", "d");
+	obs.stop();
+	tracker.clear();
+	await sleep(0);
+	assert(calls.length === 1, "stopping should cancel scheduled flush");
+});
+
+feature("stop resets observer state", async root => {
+	const F = MutationDiffFlags;
+	const [A,B] = nodes(2);
+	root.append(A);
+	const tracker = new MutationDiff();
+	const obs = new MutationDiffObserver(tracker, root, F.ALL | F.FORM);
+	const other = new MutationDiffObserver(tracker, root, F.ALL | F.FORM);
+	// pause is undone
+	obs.pause();
+	obs.stop();
+	obs.reattach();
+	root.append(B);
+	obs.flush();
+	assert(tracker.mutated(), "changes after stopping while paused should be recorded");
+	// a timer is cancelled
+	let calls = 0;
+	obs.auto_flush(() => calls++, {timing: "debounce", delay: 20});
+	B.remove();
+	obs.stop();
+	await sleep(60);
+	assert(!calls, "stopping should cancel scheduled debounce");
+	// form properties are removed once no observer uses them
+	assert(tracker.properties.has("form:value"), "form properties should be kept while another observer uses them");
+	other.stop();
+	assert(!["form:value","form:checked","form:selected"].some(key => tracker.properties.has(key)),
+		"form properties should be removed after stopping");
+	obs.reattach();
+	assert(tracker.properties.has("form:checked"), "reattach should define form properties again");
+	const checked = {get: node => node.checked};
+	tracker.define_property("form:checked", checked);
+	obs.stop();
+	assert(tracker.properties.get("form:checked")?.get === checked.get && !tracker.properties.has("form:value"),
+		"replaced form properties should be kept");
+});
+
 window.toggle_running = async function(btn){
 	// stop
 	if (should_stop === false){
@@ -542,12 +1854,15 @@ window.toggle_running = async function(btn){
 		//*/
 	}
 
+	await feature_tests();
+
 	//* random tests
 	// const seed = [712880750, -710502773, -769254584, -299235034];
 	// -1452315043, 1843057675, -2100114604, -2097338946 -> complex
 	// const seed = [837706393, 1717304467, 611471854, 170005688];
 	const seed = null;
 	!seed ? random.randomSeed() : random.setSeed(seed);
+	const feature_stress = new URLSearchParams(location.search).has("features");
 
 	// benchmarking
 	if (false){
@@ -611,7 +1926,24 @@ window.toggle_running = async function(btn){
 			verbose: !!seed,
 			synchronize: true,
 			flush: true
-		})
+		});
+		// opt-in with ?features in the page URL: check the other features against random mutations too
+		if (feature_stress && !should_stop){
+			await randomized_tests({
+				sample_count: !seed ? 10000 : 1,
+				element_count: 50,
+				text_count: 50,
+				data_count: 12,
+				init_op_count: 15,
+				op_count: 50,
+				insert_max: 20,
+				prop_chance: .15,
+				verbose: !!seed,
+				synchronize: true,
+				features: true,
+				flush: true
+			});
+		}
 	}
 	//*/
 